@@ -0,0 +1,361 @@
+/*
+* <license header>
+*/
+
+/**
+ * Adobe Learning Manager (ALM) Prime API client for App Builder actions.
+ *
+ * Wraps the JSON:API endpoints the actions use with the shared admin token (or a
+ * learner token), retries 429/5xx responses with exponential backoff, times out
+ * slow calls and reports failures as `AlmApiError`s. Non-idempotent calls (POST, PATCH)
+ * are only retried on 429 unless the caller opts in, since ALM may have committed them.
+ */
+
+const fetch = require('node-fetch');
+const { getAdminToken } = require('./alm-token.js');
+
+const ALM_API_BASE = 'https://learningmanager.adobe.com/primeapi/v2';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10000;
+
+// methods that can be repeated after a 5xx, timeout or network error without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// learning object types the EDS pages are published for
+const LO_TYPES = ['course', 'learningProgram', 'certification', 'jobAid'];
+
+/**
+ * Error raised for every failed ALM call.
+ * - `code` is one of `ALM_HTTP_ERROR`, `ALM_TIMEOUT`, `ALM_NETWORK_ERROR`
+ * - `status` is the HTTP status (0 when no response was received)
+ * - `details` holds the parsed ALM error body, if any
+ */
+class AlmApiError extends Error {
+  constructor(message, {
+    code, status = 0, url, details,
+  } = {}) {
+    super(message);
+    this.name = 'AlmApiError';
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.details = details;
+  }
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt, retryAfterHeader) {
+  const retryAfter = Number(retryAfterHeader);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, BACKOFF_MAX_MS);
+  }
+  const exponential = BACKOFF_BASE_MS * (2 ** attempt);
+  return Math.min(exponential + Math.floor(Math.random() * BACKOFF_BASE_MS), BACKOFF_MAX_MS);
+}
+
+// ALM ids look like `course:123_456`; keep the colon readable in paths
+function encodeId(id) {
+  return encodeURIComponent(id).replace(/%3A/gi, ':');
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+async function readErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text.substring(0, 500);
+  }
+}
+
+/**
+ * Indexes the `included` array of a JSON:API document by `type/id`.
+ *
+ * @param {object} document JSON:API response document
+ * @returns {Map<string, object>}
+ */
+function indexIncluded(document) {
+  const index = new Map();
+  (document.included || []).forEach((resource) => {
+    index.set(`${resource.type}/${resource.id}`, resource);
+  });
+  return index;
+}
+
+/**
+ * Resolves a relationship of a resource against the document's `included` resources.
+ * Returns an array for to-many relationships, a resource (or null) for to-one.
+ * Identifiers missing from `included` are skipped.
+ *
+ * @param {object} document JSON:API response document
+ * @param {object} resource resource holding the relationship
+ * @param {string} name relationship name, e.g. `instances`
+ * @param {Map<string, object>} [index] result of `indexIncluded(document)`
+ * @returns {object[]|object|null}
+ */
+function getRelated(document, resource, name, index = indexIncluded(document)) {
+  const linkage = resource && resource.relationships && resource.relationships[name]
+    ? resource.relationships[name].data
+    : null;
+  if (Array.isArray(linkage)) {
+    return linkage
+      .map((ref) => index.get(`${ref.type}/${ref.id}`))
+      .filter(Boolean);
+  }
+  if (linkage) {
+    return index.get(`${linkage.type}/${linkage.id}`) || null;
+  }
+  return null;
+}
+
+/**
+ * Creates an ALM client.
+ *
+ * @param {object} options
+ * @param {object} options.params action input parameters (admin credentials for the token provider)
+ * @param {object} options.logger
+ * @param {string} [options.accessToken] learner token; the shared admin token is used when omitted
+ * @param {string} [options.baseUrl]
+ * @param {number} [options.timeout] per-attempt timeout in ms
+ * @param {number} [options.retries] retries for 429/5xx and network errors
+ */
+function createAlmClient({
+  params = {},
+  logger,
+  accessToken,
+  baseUrl = params.ALM_API_BASE || ALM_API_BASE,
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+}) {
+  const getToken = (forceRefresh) => (accessToken
+    ? Promise.resolve(accessToken)
+    : getAdminToken(params, logger, { forceRefresh }));
+
+  async function send(url, { method, body, token }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await fetch(url, {
+        method,
+        headers: {
+          Authorization: `oauth ${token}`,
+          Accept: 'application/vnd.api+json',
+          ...(body ? { 'Content-Type': 'application/vnd.api+json' } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new AlmApiError(`ALM request timed out after ${timeout}ms`, { code: 'ALM_TIMEOUT', url });
+      }
+      throw new AlmApiError(`ALM request failed: ${error.message}`, { code: 'ALM_NETWORK_ERROR', url });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Performs an API call and returns the parsed JSON:API document (null for empty bodies).
+   *
+   * @param {string} path path below the API base, or an absolute `links.next` URL
+   * @param {object} [options]
+   * @param {string} [options.method]
+   * @param {object} [options.query] query parameters
+   * @param {object} [options.body] JSON body
+   * @param {boolean} [options.retry] retry 5xx, timeouts and network errors; defaults to true
+   *   for idempotent methods only (429 is always retried: ALM refused the call)
+   */
+  async function request(path, {
+    method = 'GET', query = {}, body, retry = IDEMPOTENT_METHODS.includes(method.toUpperCase()),
+  } = {}) {
+    const url = new URL(path.startsWith('http') ? path : `${baseUrl}${path}`);
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    let token = await getToken(false);
+    let rotated = false;
+    let attempt = 0;
+
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      let response;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        response = await send(url.toString(), { method, body, token });
+      } catch (error) {
+        if (!retry || attempt >= retries) throw error;
+        logger.warn(`${error.message}, retrying (${attempt + 1}/${retries})`);
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(backoffDelay(attempt));
+        attempt += 1;
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      if (response.status === 401 && !accessToken && !rotated) {
+        logger.warn('ALM rejected the admin token, rotating it');
+        // eslint-disable-next-line no-await-in-loop
+        token = await getToken(true);
+        rotated = true;
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      if (isRetryable(response.status) && (retry || response.status === 429) && attempt < retries) {
+        const delay = backoffDelay(attempt, response.headers.get('retry-after'));
+        logger.warn(`ALM answered ${response.status} for ${method} ${url.pathname}, retrying in ${delay}ms (${attempt + 1}/${retries})`);
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(delay);
+        attempt += 1;
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+
+      if (!response.ok) {
+        // eslint-disable-next-line no-await-in-loop
+        const details = await readErrorBody(response);
+        throw new AlmApiError(`ALM ${method} ${url.pathname} failed with status ${response.status}`, {
+          code: 'ALM_HTTP_ERROR', status: response.status, url: url.toString(), details,
+        });
+      }
+
+      if (response.status === 204) return null;
+      // eslint-disable-next-line no-await-in-loop
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    }
+  }
+
+  /**
+   * Iterates the pages of a collection endpoint by following `links.next`.
+   *
+   * @param {string} path
+   * @param {object} [query]
+   * @yields {object} each JSON:API page document
+   */
+  async function* paginate(path, query = {}) {
+    let next = path;
+    let nextQuery = query;
+    while (next) {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await request(next, { query: nextQuery });
+      yield page;
+      next = page && page.links && page.links.next;
+      nextQuery = {};
+    }
+  }
+
+  /**
+   * Fetches a learning object, e.g. `course:123`.
+   * @param {string} loId
+   * @param {object} [options]
+   * @param {string} [options.include] JSON:API include paths
+   * @param {object} [options.query] extra query parameters
+   */
+  function getLearningObject(loId, { include, query = {} } = {}) {
+    return request(`/learningObjects/${encodeId(loId)}`, { query: { include, ...query } });
+  }
+
+  /**
+   * Fetches a learning object by its numeric id, trying each LO type in turn.
+   * Resolves to null when none of them exists.
+   * @param {string} numericId
+   * @param {object} [options] `getLearningObject` options plus `loTypes` (defaults to `LO_TYPES`)
+   */
+  async function findLearningObject(numericId, { loTypes = LO_TYPES, ...options } = {}) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const loType of loTypes) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await getLearningObject(`${loType}:${numericId}`, options);
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 400) throw error;
+        logger.info(`${loType}:${numericId} not found, trying next learning object type`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lists all instances of a learning object.
+   * @param {string} loId
+   * @returns {Promise<object[]>} instance resources
+   */
+  async function listInstances(loId) {
+    const instances = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of paginate(`/learningObjects/${encodeId(loId)}/instances`, { 'page[limit]': 50 })) {
+      instances.push(...((page && page.data) || []));
+    }
+    return instances;
+  }
+
+  /**
+   * Runs a catalog search.
+   * @param {string} query search term
+   * @param {object} [options] `loTypes` (array), `limit`, `cursor`, `sort`, `include`
+   */
+  function search(query, {
+    loTypes, limit = 10, cursor, sort = 'relevance', include,
+  } = {}) {
+    return request('/search', {
+      query: {
+        query,
+        sort,
+        include,
+        'filter.loTypes': loTypes ? loTypes.join(',') : undefined,
+        'page[limit]': limit,
+        'page[cursor]': cursor,
+      },
+    });
+  }
+
+  /**
+   * Enrolls the token's user in a learning object instance.
+   * @param {string} loId
+   * @param {string} loInstanceId
+   */
+  function enroll(loId, loInstanceId) {
+    return request('/enrollments', { method: 'POST', query: { loId, loInstanceId } });
+  }
+
+  /**
+   * Fetches a user, or the token's own user when no id is given.
+   * @param {string} [userId]
+   */
+  function getUser(userId) {
+    return request(userId ? `/users/${encodeId(userId)}` : '/user');
+  }
+
+  return {
+    request,
+    paginate,
+    getLearningObject,
+    findLearningObject,
+    listInstances,
+    search,
+    enroll,
+    getUser,
+  };
+}
+
+module.exports = {
+  AlmApiError,
+  LO_TYPES,
+  createAlmClient,
+  getRelated,
+  indexIncluded,
+};
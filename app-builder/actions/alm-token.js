@@ -0,0 +1,100 @@
+/*
+* <license header>
+*/
+
+/**
+ * Server-side provider for the ALM admin access token.
+ *
+ * The token is obtained with ALM_ADMIN_CLIENT_ID / ALM_ADMIN_CLIENT_SECRET /
+ * ALM_ADMIN_REFRESH_TOKEN, cached in aio-lib-state for its lifetime and shared by
+ * every action that calls the ALM Prime API. alm-client rotates it when ALM answers 401.
+ */
+
+const fetch = require('node-fetch');
+const { init: initState } = require('@adobe/aio-lib-state');
+
+const ALM_REFRESH_ENDPOINT = 'https://learningmanager.adobe.com/oauth/token/refresh';
+const ADMIN_TOKEN_KEY = 'alm_admin_access_token';
+
+// stop using a cached token this many seconds before ALM expires it
+const EXPIRY_BUFFER_SECONDS = 300;
+// lifetime assumed when ALM does not report `expires_in`
+const DEFAULT_TTL_SECONDS = 3600;
+const MIN_TTL_SECONDS = 60;
+
+/**
+ * Requests a fresh admin token from ALM, stores it in state with its TTL and returns the
+ * token response.
+ *
+ * @param {object} params action input parameters holding the admin credentials.
+ * @param {object} logger
+ * @returns {Promise<object>} the ALM token response (`access_token`, `expires_in`, ...)
+ */
+async function refreshAdminToken(params, logger) {
+  const clientId = params.ALM_ADMIN_CLIENT_ID;
+  const clientSecret = params.ALM_ADMIN_CLIENT_SECRET;
+  const refreshToken = params.ALM_ADMIN_REFRESH_TOKEN;
+  if (!clientId || !clientSecret || !refreshToken) {
+    throw new Error('Missing required environment variables: ALM_ADMIN_CLIENT_ID, ALM_ADMIN_CLIENT_SECRET, ALM_ADMIN_REFRESH_TOKEN');
+  }
+
+  const formData = new URLSearchParams();
+  formData.append('refresh_token', refreshToken);
+  formData.append('client_id', clientId);
+  formData.append('client_secret', clientSecret);
+
+  logger.info('Refreshing ALM admin access token');
+  const response = await fetch(ALM_REFRESH_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`ALM admin token refresh failed with status ${response.status}: ${errorText}`);
+  }
+
+  const data = await response.json();
+  if (!data.access_token) {
+    throw new Error('ALM admin token refresh returned no access_token');
+  }
+
+  const expiresIn = Number(data.expires_in) || DEFAULT_TTL_SECONDS;
+  const ttl = Math.max(expiresIn - EXPIRY_BUFFER_SECONDS, MIN_TTL_SECONDS);
+  const state = await initState();
+  await state.put(ADMIN_TOKEN_KEY, data.access_token, { ttl });
+  logger.info(`Stored ALM admin access token for ${ttl}s`);
+
+  return data;
+}
+
+/**
+ * Returns the cached admin token, refreshing it when missing or expired.
+ *
+ * @param {object} params action input parameters holding the admin credentials.
+ * @param {object} logger
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh] ignore the cached token
+ * @returns {Promise<string>}
+ */
+async function getAdminToken(params, logger, { forceRefresh = false } = {}) {
+  if (!forceRefresh) {
+    const state = await initState();
+    const cached = await state.get(ADMIN_TOKEN_KEY);
+    if (cached && cached.value) {
+      return cached.value;
+    }
+  }
+
+  const data = await refreshAdminToken(params, logger);
+  return data.access_token;
+}
+
+module.exports = {
+  getAdminToken,
+  refreshAdminToken,
+};
@@ -4,11 +4,16 @@
 
 /**
  * Adobe Learning Manager (ALM) Authentication Module
+ *
+ * Flows:
+ * - `code` + `code_verifier` + `redirect_uri`: learner authorization-code (PKCE) exchange
+ * - `refresh_token`: learner token refresh, the client secret stays server-side
+ * - neither: rotates the shared admin token in state (see ../alm-token.js)
  */
 
 const { errorResponse, stringParameters, checkMissingRequestInputs } = require('../utils');
 const { Core } = require('@adobe/aio-sdk');
-const { init: initState } = require('@adobe/aio-lib-state');
+const { refreshAdminToken } = require('../alm-token');
 
 // Configuration constants
 const ALM_API_BASE = 'https://learningmanager.adobe.com';
@@ -17,6 +22,24 @@ const AUTH_ENDPOINTS = {
   REFRESH: `${ALM_API_BASE}/oauth/token/refresh`
 };
 
+/**
+ * Auth flows served by this action
+ */
+const AUTH_FLOWS = {
+  AUTHORIZATION_CODE: 'authorization_code',
+  LEARNER_REFRESH: 'learner_refresh',
+  ADMIN_REFRESH: 'admin_refresh',
+};
+
+/**
+ * Determines the auth flow from the request parameters
+ */
+function getAuthFlow(params) {
+  if (params.code) return AUTH_FLOWS.AUTHORIZATION_CODE;
+  if (params.refresh_token) return AUTH_FLOWS.LEARNER_REFRESH;
+  return AUTH_FLOWS.ADMIN_REFRESH;
+}
+
 /**
  * Validates authentication parameters and credentials
  */
@@ -28,8 +51,16 @@ function validateAuthParams(params, logger) {
     return errorResponse(400, errorMessage, logger);
   }
 
-  const { code } = params;
-  if (code) {
+  const flow = getAuthFlow(params);
+  if (flow === AUTH_FLOWS.AUTHORIZATION_CODE) {
+    // PKCE: the browser must prove it started this login
+    const pkceError = checkMissingRequestInputs(params, ['code_verifier', 'redirect_uri']);
+    if (pkceError) {
+      return errorResponse(400, pkceError, logger);
+    }
+  }
+
+  if (flow !== AUTH_FLOWS.ADMIN_REFRESH) {
     const clientId = params.ALM_CLIENT_ID;
     const clientSecret = params.ALM_CLIENT_SECRET;
 
@@ -50,24 +81,30 @@ function validateAuthParams(params, logger) {
  * Prepares authentication request parameters based on the flow type
  */
 function prepareAuthRequest(params) {
-  const { code } = params;
   const formData = new URLSearchParams();
   let clientId, clientSecret, endpoint;
 
-  if (code) {
-    clientId = params.ALM_CLIENT_ID;
-    clientSecret = params.ALM_CLIENT_SECRET;
-    endpoint = AUTH_ENDPOINTS.TOKEN;
-
-    formData.append('redirect_uri', params.redirect_uri);
-    formData.append('code', code);
-    formData.append('grant_type', 'authorization_code');
-  } else {
-    clientId = params.ALM_ADMIN_CLIENT_ID;
-    clientSecret = params.ALM_ADMIN_CLIENT_SECRET;
-    endpoint = AUTH_ENDPOINTS.REFRESH;
-
-    formData.append('refresh_token', params.ALM_ADMIN_REFRESH_TOKEN);
+  switch (getAuthFlow(params)) {
+    case AUTH_FLOWS.AUTHORIZATION_CODE:
+      clientId = params.ALM_CLIENT_ID;
+      clientSecret = params.ALM_CLIENT_SECRET;
+      endpoint = AUTH_ENDPOINTS.TOKEN;
+
+      formData.append('redirect_uri', params.redirect_uri);
+      formData.append('code', params.code);
+      formData.append('code_verifier', params.code_verifier);
+      formData.append('grant_type', 'authorization_code');
+      break;
+    case AUTH_FLOWS.LEARNER_REFRESH:
+      // The learner's refresh token comes from the browser; the client secret never does
+      clientId = params.ALM_CLIENT_ID;
+      clientSecret = params.ALM_CLIENT_SECRET;
+      endpoint = AUTH_ENDPOINTS.REFRESH;
+
+      formData.append('refresh_token', params.refresh_token);
+      break;
+    default:
+      throw new Error(`Unsupported auth flow for token request: ${getAuthFlow(params)}`);
   }
 
   formData.append('client_id', clientId);
@@ -117,24 +154,26 @@ async function main(params) {
   try {
     logger.info('Calling the ALM login action');
 
-    if (params) logger.info(stringParameters(params));
+    // log parameters, only if params.LOG_LEVEL === 'debug' (they carry learner tokens)
+    logger.debug(stringParameters(params));
 
     const validationError = validateAuthParams(params, logger);
     if (validationError) return validationError;
 
-    const state = await initState();
+    if (getAuthFlow(params) === AUTH_FLOWS.ADMIN_REFRESH) {
+      // Rotate the shared admin token in state; the token itself is never handed out
+      const { expires_in: expiresIn } = await refreshAdminToken(params, logger);
+      return {
+        statusCode: 200,
+        body: { rotated: true, expires_in: expiresIn },
+      };
+    }
 
     const { endpoint, formData } = prepareAuthRequest(params);
-    const isAdminFlow = !params.code;
 
     const { data, error } = await makeTokenRequest(endpoint, formData, logger);
     if (error) return error;
 
-    // Store admin token here (if needed)
-    // if (isAdminFlow && data.access_token) {
-    //   await state.put('alm_admin_access_token', data.access_token);
-    // }
-
     const responseObject = {
       statusCode: 200,
       body: data
@@ -0,0 +1,298 @@
+/*
+* <license header>
+*/
+
+/**
+ * Action: Catalog Sync
+ * Purpose: Backfills the course overview pages on EDS for the whole ALM catalog, so pages exist
+ *          without anyone visiting them or a webhook firing for their learning object.
+ *
+ * How it works:
+ * - Pages through all ALM learning objects (courses, learning programs, certifications, job aids)
+ *   with their instances; retired ones are skipped
+ * - Diffs their `/overview/trainingId/*` paths against `course-index.json` of the environment's
+ *   site: paths missing from the index, or older than the learning object's last update, are
+ *   queued on the publish queue of eds-cache-publisher, which is then worked off
+ * - Stops after a time budget and stores the ALM cursor in aio-lib-state, so the next invocation
+ *   resumes where this one stopped; a finished run starts over after
+ *   CATALOG_SYNC_INTERVAL_MINUTES
+ * - Every run keeps a summary report (counts per outcome, errors) in aio-lib-state
+ *
+ * Meant to be invoked by a scheduled trigger; web requests need the webhook shared secret header.
+ *
+ * Inputs:
+ * - params.operation: `run` (default), `status` (last report) or `reset` (drop the cursor of a
+ *   running sync)
+ * - params.force (boolean): start a new run even if the last one finished recently
+ * - params.dryRun (boolean): report the paths that would be queued without queueing them; a dry run
+ *   covers what fits in one time budget and does not touch the running sync
+ *
+ * Output:
+ * - JSON summary report of the run
+ */
+/* eslint-disable no-underscore-dangle -- OpenWhisk request fields */
+const fetch = require('node-fetch');
+const { Core } = require('@adobe/aio-sdk');
+const { init: initState } = require('@adobe/aio-lib-state');
+const { errorResponse } = require('../utils.js');
+const {
+  LO_TYPES, createAlmClient, getRelated, indexIncluded,
+} = require('../alm-client.js');
+const { verifySharedSecret } = require('../webhook-auth.js');
+const { getSiteOrigin } = require('../environment.js');
+const { getAdminRequests, getPublishRoutes } = require('../eds-cache-publisher/eds-admin.js');
+const { toEdsInstanceId } = require('../instance-ids.js');
+const { enqueue, processQueue } = require('../eds-cache-publisher/queue.js');
+
+// ALM caps learningObjects pages at 10
+const PAGE_SIZE = 10;
+const INDEX_PAGE_SIZE = 512;
+
+const SYNC_STATE_KEY = 'catalog-sync-state';
+const SYNC_REPORT_KEY = 'catalog-sync-report';
+const SYNC_STATE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const SYNC_REPORT_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_REPORTED_ERRORS = 50;
+
+const DEFAULT_TIME_BUDGET_MS = 40 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+
+function jsonResponse(body) {
+  return {
+    statusCode: 200,
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  };
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+async function readJson(state, key) {
+  const entry = await state.get(key);
+  return entry && entry.value ? JSON.parse(entry.value) : null;
+}
+
+function newRun(dryRun) {
+  return {
+    runId: new Date().toISOString(),
+    status: 'running',
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    next: null,
+    pages: 0,
+    learningObjects: 0,
+    retired: 0,
+    paths: { missing: 0, stale: 0, upToDate: 0 },
+    errors: [],
+    ...(dryRun ? { wouldQueue: [] } : {}),
+  };
+}
+
+function addError(run, loId, error) {
+  if (run.errors.length < MAX_REPORTED_ERRORS) {
+    run.errors.push({ loId, error: error.message });
+  }
+}
+
+/**
+ * Returns the publish requests for the pages of one learning object that are missing from the
+ * index or older than its last update, and counts the outcome in the run
+ */
+function diffLearningObject(learningObject, page, included, indexedPaths, run, params) {
+  run.learningObjects += 1;
+  const attributes = learningObject.attributes || {};
+  if (String(attributes.state || '').toLowerCase() === 'retired') {
+    run.retired += 1;
+    return [];
+  }
+
+  const trainingId = learningObject.id.split(':')[1];
+  const instances = (getRelated(page, learningObject, 'instances', included) || [])
+    .filter((instance) => String(instance.attributes?.state || '').toLowerCase() !== 'retired');
+  const paths = instances.length > 0
+    ? instances.map((instance) => (
+      `/overview/trainingId/${trainingId}/trainingInstanceId/${toEdsInstanceId(instance.id)}`))
+    : [`/overview/trainingId/${trainingId}`];
+  const updatedAt = Date.parse(attributes.dateUpdated || attributes.datePublished) || 0;
+
+  return paths.flatMap((path) => {
+    const indexedAt = indexedPaths.get(path);
+    if (indexedAt === undefined) {
+      run.paths.missing += 1;
+    } else if (indexedAt < updatedAt) {
+      run.paths.stale += 1;
+    } else {
+      run.paths.upToDate += 1;
+      return [];
+    }
+    return getAdminRequests('refresh', path, params);
+  });
+}
+
+/**
+ * Loads `course-index.json` from the tier the environment publishes to last and returns the
+ * last modification time (ms) of every indexed path
+ */
+async function fetchIndexedPaths(params, logger) {
+  const routes = getPublishRoutes(params);
+  const tier = routes[routes.length - 1] === 'live' ? 'live' : 'page';
+  const indexUrl = `${getSiteOrigin(params, tier)}/course-index.json`;
+  const indexedPaths = new Map();
+
+  let offset = 0;
+  let total = Infinity;
+  while (offset < total) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await fetch(`${indexUrl}?offset=${offset}&limit=${INDEX_PAGE_SIZE}`);
+    if (response.status === 404) {
+      logger.warn(`${indexUrl} does not exist yet, treating every page as missing`);
+      break;
+    }
+    if (!response.ok) {
+      throw new Error(`Loading ${indexUrl} failed with status ${response.status}`);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const index = await response.json();
+    const rows = index.data || [];
+    rows.forEach((row) => indexedPaths.set(row.path, Number(row.lastModified) * 1000 || 0));
+    total = Number(index.total) || 0;
+    offset += rows.length;
+    if (rows.length === 0) break;
+  }
+
+  logger.info(`Loaded ${indexedPaths.size} indexed path(s) from ${indexUrl}`);
+  return indexedPaths;
+}
+
+/**
+ * Continues the running sync, or starts a new one when the last one is old enough (or `force` is
+ * set)
+ */
+async function runSync(params, state, logger) {
+  const startedAt = Date.now();
+  const timeBudgetMs = Number(params.CATALOG_SYNC_TIME_BUDGET_MS) || DEFAULT_TIME_BUDGET_MS;
+  const dryRun = isTrue(params.dryRun);
+
+  // a dry run always starts from the beginning and leaves the running sync alone
+  let run = dryRun ? null : await readJson(state, SYNC_STATE_KEY);
+  if (!run) {
+    const lastReport = await readJson(state, SYNC_REPORT_KEY);
+    const intervalMinutes = Number(params.CATALOG_SYNC_INTERVAL_MINUTES)
+      || DEFAULT_INTERVAL_MINUTES;
+    const intervalMs = intervalMinutes * 60 * 1000;
+    if (lastReport && !isTrue(params.force) && !dryRun
+      && startedAt - Date.parse(lastReport.finishedAt) < intervalMs) {
+      logger.info(`Last catalog sync finished at ${lastReport.finishedAt}, nothing to do`);
+      return { status: 'idle', lastReport };
+    }
+    run = newRun(dryRun);
+    logger.info(`Starting catalog sync ${run.runId}`);
+  } else {
+    logger.info(`Resuming catalog sync ${run.runId} after ${run.pages} page(s)`);
+  }
+
+  const indexedPaths = await fetchIndexedPaths(params, logger);
+  const client = createAlmClient({ params, logger });
+  const start = run.next || '/learningObjects';
+  const query = run.next ? {} : {
+    'filter.loTypes': LO_TYPES.join(','),
+    'page[limit]': PAGE_SIZE,
+    include: 'instances',
+    sort: 'date',
+  };
+
+  // pages are synced one after the other so the cursor can be stored where the budget ran out
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const page of client.paginate(start, query)) {
+    const requests = [];
+    const included = indexIncluded(page);
+    (page.data || []).forEach((learningObject) => {
+      try {
+        requests.push(
+          ...diffLearningObject(learningObject, page, included, indexedPaths, run, params),
+        );
+      } catch (error) {
+        addError(run, learningObject.id, error);
+      }
+    });
+
+    if (requests.length > 0) {
+      if (run.dryRun) {
+        run.wouldQueue.push(...requests
+          .map((request) => `${request.method} ${request.route} ${request.path}`));
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        await enqueue(requests.map((request) => ({ ...request, source: { sync: run.runId } })));
+      }
+    }
+
+    run.pages += 1;
+    run.next = (page.links && page.links.next) || null;
+    if (run.next && Date.now() - startedAt > timeBudgetMs) {
+      break;
+    }
+  }
+
+  if (run.next) {
+    if (!run.dryRun) {
+      await state.put(SYNC_STATE_KEY, JSON.stringify(run), { ttl: SYNC_STATE_TTL_SECONDS });
+    }
+    logger.info(`Catalog sync ${run.runId} paused after ${run.pages} page(s)`);
+  } else {
+    run.status = 'finished';
+    run.finishedAt = new Date().toISOString();
+    if (!run.dryRun) {
+      await state.delete(SYNC_STATE_KEY);
+      await state.put(SYNC_REPORT_KEY, JSON.stringify(run), { ttl: SYNC_REPORT_TTL_SECONDS });
+    }
+    logger.info(`Catalog sync ${run.runId} finished: ${JSON.stringify(run.paths)}`);
+  }
+
+  if (!run.dryRun) {
+    await processQueue(params, logger);
+  }
+  const { next, ...report } = run;
+  return report;
+}
+
+async function main(params) {
+  const logger = Core.Logger('catalog-sync', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    logger.info('Invoked catalog-sync action');
+
+    // web requests need the shared secret; scheduled (trigger) invocations have no headers
+    if (params.__ow_method && !verifySharedSecret(params)) {
+      return errorResponse(401, 'Unauthorized', logger);
+    }
+
+    const state = await initState();
+    const operation = params.operation || 'run';
+
+    if (operation === 'status') {
+      return jsonResponse({
+        running: await readJson(state, SYNC_STATE_KEY),
+        lastReport: await readJson(state, SYNC_REPORT_KEY),
+      });
+    }
+    if (operation === 'reset') {
+      await state.delete(SYNC_STATE_KEY);
+      return jsonResponse({ status: 'reset' });
+    }
+    if (operation !== 'run') {
+      return errorResponse(400, `Unsupported operation '${operation}'`, logger);
+    }
+
+    return jsonResponse(await runSync(params, state, logger));
+  } catch (error) {
+    logger.error('Error in catalog-sync action:', error);
+    return errorResponse(500, 'server error', logger);
+  }
+}
+
+module.exports = { main };
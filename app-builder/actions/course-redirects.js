@@ -0,0 +1,51 @@
+/*
+* <license header>
+*/
+
+/**
+ * Redirects for retired or deleted ALM courses.
+ *
+ * RETIRED_COURSE_REDIRECTS maps training ids (the numeric id in `/overview/trainingId/{id}`) to the
+ * page replacing them, e.g. `{ "123": "/overview/trainingId/456" }`; RETIRED_COURSE_REDIRECT is the
+ * target for every other retired course, typically the catalog. Both are optional: without a target
+ * the course pages are unpublished.
+ *
+ * course-viewer answers a retired course with a 301 to the target, which EDS stores as a redirect
+ * when the page is previewed/published, so the publisher re-publishes such pages instead of
+ * deleting them.
+ */
+
+function parseRedirectMap(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error('RETIRED_COURSE_REDIRECTS must be a JSON object');
+  }
+}
+
+function isValidTarget(target) {
+  return typeof target === 'string' && (/^\/(?!\/)/.test(target) || /^https?:\/\//.test(target));
+}
+
+/**
+ * Returns the redirect target of a retired course, null when its pages should be unpublished.
+ *
+ * @param {string} trainingId numeric ALM learning object id
+ * @param {object} params action input parameters.
+ * @returns {string|null}
+ */
+function getRetiredRedirect(trainingId, params) {
+  const target = parseRedirectMap(params.RETIRED_COURSE_REDIRECTS)[trainingId]
+    || params.RETIRED_COURSE_REDIRECT;
+  if (!target) return null;
+  if (!isValidTarget(target)) {
+    throw new Error(`Invalid redirect target '${target}' for training ${trainingId}, expected a path or URL`);
+  }
+  return target;
+}
+
+module.exports = {
+  getRetiredRedirect,
+};
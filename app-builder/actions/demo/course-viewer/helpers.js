@@ -1,5 +1,3 @@
-const fetch = require('node-fetch');
-
 /**
  * Helper function to safely get nested properties
  */
@@ -58,64 +56,19 @@ function formatDuration(seconds) {
   if (!seconds) return 'N/A';
   const hours = Math.floor(seconds / 3600);
   const minutes = Math.floor((seconds % 3600) / 60);
-  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
   return `${minutes}m`;
 }
 
 /**
- * Fetches data from ALM API using provided token
- * @param {string} apiUrl - The API endpoint URL
- * @param {string} token - ALM access token
- * @param {object} logger - Logger instance
- * @returns {Promise<object>} API response data
- * @throws {Error} When API call fails or token is invalid
+ * Format an ISO date as e.g. `Mar 5, 2025`; empty for missing or invalid dates
  */
-async function getData(apiUrl, token, logger) {
-  if (!token || typeof token !== 'string') {
-    throw new Error('Valid ALM access token is required');
-  }
-  
-  if (!apiUrl || typeof apiUrl !== 'string') {
-    throw new Error('Valid API URL is required');
-  }
-
-  try {
-    logger.info('Making API request', { url: apiUrl.substring(0, 100) + '...' });
-    
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'ALM-Course-Viewer/1.0'
-      },
-      timeout: 30000 // 30 second timeout
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      logger.error('API request failed', { 
-        status: response.status, 
-        statusText: response.statusText,
-        error: errorText.substring(0, 200)
-      });
-      throw new Error(`API call failed with status: ${response.status} - ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    logger.info('API request successful', { 
-      hasData: !!data.data,
-      includedCount: data.included ? data.included.length : 0
-    });
-    
-    return data;
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('API request timeout');
-    }
-    logger.error('API request error', { error: error.message });
-    throw error;
-  }
+function formatDate(isoDate) {
+  const date = isoDate ? new Date(isoDate) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC',
+  });
 }
 
 /**
@@ -127,6 +80,25 @@ function renderTemplate(templateString, data) {
   });
 }
 
+/**
+ * Escapes HTML special characters
+ */
+function escapeHtml(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;',
+  };
+
+  return text.replace(/[&<>"']/g, (m) => map[m]);
+}
+
 /**
  * Checks if a template exists (simplified for embedded templates)
  */
@@ -140,7 +112,8 @@ module.exports = {
   extractAuthors,
   extractInstances,
   formatDuration,
-  getData,
+  formatDate,
   renderTemplate,
+  escapeHtml,
   templateExists
 };
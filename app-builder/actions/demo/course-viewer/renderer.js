@@ -0,0 +1,428 @@
+/*
+* <license header>
+*/
+
+/**
+ * BYOM renderer for course overview pages.
+ *
+ * Turns an ALM learning object response into the HTML the Helix Admin API ingests: course meta
+ * tags for EDS indexing plus the course-overview block markup, laid out by the template of the
+ * learning object's type (see ./templates.js). Rendering is pure, it neither fetches data nor
+ * publishes anything.
+ */
+const {
+  safeGet, extractSkills, formatDuration, formatDate, escapeHtml,
+} = require('./helpers.js');
+const { toEdsInstanceId, toAlmInstanceId } = require('../../instance-ids.js');
+const { renderPage } = require('./templates.js');
+
+const LO_TYPE_LABELS = {
+  course: 'Course',
+  learningProgram: 'Learning Program',
+  certification: 'Certification',
+  jobAid: 'Job Aid',
+};
+
+const VALIDITY_UNITS = {
+  d: 'day', w: 'week', m: 'month', y: 'year',
+};
+
+const LIVE_FORMATS = ['classroom', 'virtual classroom'];
+
+/**
+ * Finds an included resource by id
+ */
+function findIncluded(courseResponse, id, type) {
+  return (courseResponse.included || [])
+    .find((item) => item.id === id && (!type || item.type === type));
+}
+
+/**
+ * Lists the instances of the learning object
+ */
+function getInstances(courseResponse) {
+  return safeGet(courseResponse.data, 'relationships.instances.data', [])
+    .map((ref) => findIncluded(courseResponse, ref.id, 'learningObjectInstance'))
+    .filter(Boolean);
+}
+
+/**
+ * Returns the instance the page is rendered for: the requested one (EDS id, e.g. `123-456`),
+ * else the default instance, else the first one
+ */
+function getSelectedInstance(courseResponse, instanceId) {
+  const instances = getInstances(courseResponse);
+  const almInstanceId = instanceId ? toAlmInstanceId(courseResponse.data.id, instanceId) : null;
+
+  return instances.find((instance) => instance.id === almInstanceId)
+    || instances.find((instance) => safeGet(instance, 'attributes.isDefault', false))
+    || instances[0]
+    || null;
+}
+
+/**
+ * Lists the resources of an instance with the format of the module they belong to
+ */
+function getInstanceResources(courseResponse, instance) {
+  return safeGet(instance, 'relationships.loResources.data', [])
+    .map((ref) => findIncluded(courseResponse, ref.id))
+    .filter(Boolean)
+    .flatMap((loResource) => safeGet(loResource, 'relationships.resources.data', [])
+      .map((ref) => findIncluded(courseResponse, ref.id))
+      .filter(Boolean)
+      .map((resource) => ({ resource, loFormat: safeGet(loResource, 'attributes.loFormat', '') })));
+}
+
+/**
+ * Extracts name, session dates, deadlines, seat limit and locations of an instance
+ */
+function extractInstanceDetails(courseResponse, instance) {
+  if (!instance) return null;
+
+  const attributes = instance.attributes || {};
+  const sessions = getInstanceResources(courseResponse, instance)
+    .filter(({ loFormat }) => LIVE_FORMATS.includes(loFormat.toLowerCase()));
+  const starts = sessions.map(({ resource }) => safeGet(resource, 'attributes.dateStart', '')).filter(Boolean).sort();
+  const ends = sessions.map(({ resource }) => safeGet(resource, 'attributes.completionDeadline', '')).filter(Boolean).sort();
+
+  // virtual classroom locations are meeting links, which don't belong on a public page
+  const locations = [...new Set(sessions.map(({ resource, loFormat }) => {
+    if (loFormat.toLowerCase() !== 'classroom') return 'Virtual classroom';
+    const roomId = safeGet(resource, 'relationships.room.data.id', null);
+    const room = roomId ? findIncluded(courseResponse, roomId) : null;
+    return safeGet(room, 'attributes.name', '') || safeGet(resource, 'attributes.location', '');
+  }).filter(Boolean))];
+
+  return {
+    id: instance.id,
+    edsId: toEdsInstanceId(instance.id),
+    name: safeGet(attributes, 'localizedMetadata.0.name', 'Default Instance'),
+    startDate: formatDate(starts[0]),
+    endDate: formatDate(ends[ends.length - 1]),
+    enrollmentDeadline: formatDate(attributes.enrollmentDeadline),
+    completionDeadline: formatDate(attributes.completionDeadline),
+    seatLimit: attributes.seatLimit || null,
+    locations,
+  };
+}
+
+/**
+ * Lists the other active instances, linked to their own pages
+ */
+function extractOtherInstances(courseResponse, instance) {
+  const trainingId = courseResponse.data.id.split(':')[1];
+
+  return getInstances(courseResponse)
+    .filter((other) => other !== instance && safeGet(other, 'attributes.state', '').toLowerCase() === 'active')
+    .map((other) => ({
+      name: safeGet(other, 'attributes.localizedMetadata.0.name', 'Unnamed Instance'),
+      enrollmentDeadline: formatDate(safeGet(other, 'attributes.enrollmentDeadline', '')),
+      href: `/overview/trainingId/${trainingId}/trainingInstanceId/${toEdsInstanceId(other.id)}`,
+    }));
+}
+
+/**
+ * Maps a sub learning object (of a learning program or certification) for display
+ */
+function toSubLo(courseResponse, loId) {
+  const subLoData = findIncluded(courseResponse, loId, 'learningObject');
+  const attributes = (subLoData && subLoData.attributes) || {};
+  const loType = attributes.loType || loId.split(':')[0];
+
+  return {
+    id: loId,
+    name: safeGet(attributes, 'localizedMetadata.0.name', 'Untitled Course'),
+    typeLabel: LO_TYPE_LABELS[loType] || 'Course',
+    format: attributes.loFormat || 'Self-paced',
+    duration: formatDuration(attributes.duration),
+    href: `/overview/trainingId/${loId.split(':')[1]}`,
+  };
+}
+
+/**
+ * Lists the ids of the sub learning objects in program order
+ */
+function getSubLoIds(courseResponse) {
+  return safeGet(courseResponse.data, 'relationships.subLOs.data', []).map((subLo) => subLo.id);
+}
+
+/**
+ * Extracts the sections of a learning program with their sub learning objects; programs without
+ * sections get one section holding all sub learning objects
+ */
+function extractLearningProgram(courseResponse) {
+  const attributes = courseResponse.data.attributes || {};
+  const rawSections = Array.isArray(attributes.sections) && attributes.sections.length > 0
+    ? attributes.sections
+    : [{ loIds: getSubLoIds(courseResponse), mandatory: true }];
+
+  const sections = rawSections.map((section, index) => {
+    const loIds = section.loIds || [];
+    const mandatoryCount = section.mandatoryLOCount || loIds.length;
+    let requirement = 'Optional';
+    if (section.mandatory) {
+      requirement = mandatoryCount < loIds.length ? `Complete ${mandatoryCount} of ${loIds.length}` : 'Required';
+    }
+
+    return {
+      title: safeGet(section, 'localizedMetadata.0.value', '') || `Section ${index + 1}`,
+      requirement,
+      items: loIds.map((loId) => toSubLo(courseResponse, loId)),
+    };
+  });
+
+  return {
+    sections,
+    isSubLoOrderEnforced: Boolean(attributes.isSubLoOrderEnforced),
+  };
+}
+
+/**
+ * Formats an ALM validity period like `12m` as `12 months`
+ */
+function formatValidity(validity) {
+  if (!validity) return 'Does not expire';
+  const match = /^(\d+)\s*([dwmy])$/i.exec(String(validity));
+  if (!match) return String(validity);
+  const count = Number(match[1]);
+  const unit = VALIDITY_UNITS[match[2].toLowerCase()];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Extracts validity and badge of a certification, plus the learning objects to complete for it
+ */
+function extractCertification(courseResponse, instance) {
+  const badgeId = safeGet(instance, 'relationships.badge.data.id', null)
+    || safeGet(courseResponse.data, 'relationships.badge.data.id', null);
+  const badgeData = badgeId ? findIncluded(courseResponse, badgeId, 'badge') : null;
+
+  return {
+    validity: formatValidity(safeGet(instance, 'attributes.validity', null)),
+    isExternal: Boolean(safeGet(courseResponse.data, 'attributes.isExternal', false)),
+    badge: badgeData && badgeData.attributes && badgeData.attributes.imageUrl ? {
+      name: badgeData.attributes.name || 'Badge',
+      imageUrl: badgeData.attributes.imageUrl,
+    } : null,
+    subLos: getSubLoIds(courseResponse).map((loId) => toSubLo(courseResponse, loId)),
+  };
+}
+
+/**
+ * Extracts the downloadable resource of a job aid
+ */
+function extractJobAid(courseResponse, instance) {
+  const loResourceId = safeGet(instance, 'relationships.loResources.data.0.id', null);
+  const loResource = loResourceId ? findIncluded(courseResponse, loResourceId) : null;
+  const resourceId = safeGet(loResource, 'relationships.resources.data.0.id', null);
+  const resource = resourceId ? findIncluded(courseResponse, resourceId) : null;
+  const location = safeGet(resource, 'attributes.location', '');
+
+  return {
+    resource: location ? {
+      name: safeGet(resource, 'attributes.name', '') || safeGet(loResource, 'attributes.localizedMetadata.0.name', 'Job aid'),
+      contentType: safeGet(resource, 'attributes.contentType', 'File'),
+      url: location,
+    } : null,
+  };
+}
+
+/**
+ * Extracts core modules from the selected course instance
+ */
+function extractCoreModules(courseResponse, instanceData) {
+  const modules = [];
+  const courseData = courseResponse.data;
+  const includedData = courseResponse.included || [];
+
+  // Get the instance's modules
+  if (instanceData && instanceData.relationships && instanceData.relationships.loResources) {
+    const resources = instanceData.relationships.loResources.data;
+
+    resources.forEach((resource) => {
+      const resourceData = includedData.find((item) => item.id === resource.id);
+      if (resourceData && resourceData.attributes) {
+        const resourceMetadata = safeGet(resourceData, 'attributes.localizedMetadata.0', null)
+          || { name: resourceData.attributes.name || 'Module' };
+
+        // the page is the same for every learner; the course-overview block hydrates their progress
+        const status = 'not-started';
+
+        const moduleType = resourceData.attributes.loFormat || 'Self-paced';
+
+        // Handle duration based on module type
+        let moduleDuration;
+        if (moduleType.toLowerCase() === 'self-paced') {
+          moduleDuration = 'Self-paced'; // Don't show duration for self-paced content
+        } else {
+          const durationSeconds = resourceData.attributes.desiredDuration
+                                 || resourceData.attributes.duration
+                                 || 900; // Default to 15 minutes for timed content
+          moduleDuration = formatDuration(durationSeconds);
+        }
+
+        modules.push({
+          id: resource.id,
+          courseId: courseData.id,
+          name: resourceMetadata.name,
+          type: moduleType,
+          contentType: resourceData.attributes.contentType || 'SCORM2004',
+          duration: moduleDuration,
+          status,
+          isCompleted: false,
+          statusText: 'Not started',
+          statusIcon: '○',
+        });
+      }
+    });
+  }
+
+  return modules;
+}
+
+/**
+ * Extracts prerequisites from course response
+ */
+function extractPrerequisites(courseResponse) {
+  const prerequisites = [];
+  const courseData = courseResponse.data;
+  const includedData = courseResponse.included || [];
+
+  // Check if there are prerequisites
+  const prerequisiteRefs = safeGet(courseData, 'relationships.prerequisiteLOs.data', null);
+  if (prerequisiteRefs) {
+    prerequisiteRefs.forEach((prereq) => {
+      // Find the prerequisite details in included data
+      const prereqData = includedData.find((item) => item.id === prereq.id);
+      if (prereqData && prereqData.attributes) {
+        const prereqMetadata = safeGet(prereqData, 'attributes.localizedMetadata.0', null)
+          || { name: prereqData.attributes.name || 'Prerequisite Course' };
+
+        prerequisites.push({
+          id: prereq.id,
+          name: prereqMetadata.name,
+          type: prereqData.attributes.loFormat || 'Self-paced',
+        });
+      }
+    });
+  }
+
+  return prerequisites;
+}
+
+/**
+ * Extracts job aids from supplementary resources
+ */
+function extractJobAids(courseResponse) {
+  const jobAids = [];
+  const courseData = courseResponse.data;
+  const includedData = courseResponse.included || [];
+
+  // Get job aids from supplementary resources
+  const supplementaryRefs = safeGet(courseData, 'relationships.supplementaryLOs.data', null);
+  if (supplementaryRefs) {
+    const jobAidItems = supplementaryRefs.filter((item) => {
+      const itemData = includedData.find((included) => included.id === item.id);
+      return itemData && itemData.attributes && itemData.attributes.loType === 'jobAid';
+    });
+
+    jobAidItems.forEach((jobAid) => {
+      const jobAidData = includedData.find((item) => item.id === jobAid.id);
+      if (jobAidData && jobAidData.attributes) {
+        const jobAidMetadata = safeGet(jobAidData, 'attributes.localizedMetadata.0', null)
+          || { name: jobAidData.attributes.name || 'Job Aid', description: '' };
+
+        jobAids.push({
+          id: jobAid.id,
+          name: jobAidMetadata.name,
+          description: jobAidMetadata.description || 'Job aid description',
+        });
+      }
+    });
+  }
+
+  return jobAids;
+}
+
+/**
+ * Processes raw course data into template-ready format
+ */
+function processCourseData(courseResponse, courseId, instanceId) {
+  const courseData = courseResponse.data;
+  const loType = safeGet(courseData, 'attributes.loType', 'course');
+  const courseType = LO_TYPE_LABELS[loType] || 'Course';
+
+  // Extract course information
+  const courseTitle = safeGet(courseData, 'attributes.localizedMetadata.0.name', 'Untitled Course');
+  const courseDescription = safeGet(courseData, 'attributes.localizedMetadata.0.description', 'No description available');
+  const courseOverview = safeGet(courseData, 'attributes.localizedMetadata.0.overview', 'No overview available');
+
+  // Format duration from seconds to readable format
+  const durationSeconds = safeGet(courseData, 'attributes.duration', 0);
+  const courseDuration = formatDuration(durationSeconds);
+
+  // Extract skills
+  const skillArray = extractSkills(courseResponse);
+
+  // Extract skill level
+  let courseLevel = safeGet(courseData, 'attributes.skillLevel', 'N/A');
+  if (courseLevel === 'N/A' && skillArray.length > 0) {
+    const firstSkill = courseResponse.included?.find((item) => item.type === 'skillLevel');
+    if (firstSkill) {
+      courseLevel = firstSkill.attributes?.name || 'N/A';
+    }
+  }
+
+  // The requested instance, or the default one
+  const instance = getSelectedInstance(courseResponse, instanceId);
+
+  // Extract modules/resources from the instance
+  const coreModules = extractCoreModules(courseResponse, instance);
+
+  // Extract prerequisites
+  const prerequisites = extractPrerequisites(courseResponse);
+
+  // Extract job aids
+  const jobAids = extractJobAids(courseResponse);
+
+  return {
+    courseId,
+    instanceId,
+    loType,
+    courseTitle,
+    courseDescription: courseDescription || 'No description available',
+    courseOverview: courseOverview || 'No overview available',
+    courseType,
+    courseDuration,
+    courseLevel,
+    courseSkills: skillArray.join(', ') || 'No skills specified',
+    enrollmentCount: safeGet(courseData, 'attributes.enrollmentCount', 0),
+    ratingAvg: safeGet(courseData, 'attributes.rating.averageRating', 0),
+    ratingCount: safeGet(courseData, 'attributes.rating.ratingsCount', 0),
+    imageUrl: safeGet(courseData, 'attributes.imageUrl', ''),
+    loFormat: safeGet(courseData, 'attributes.loFormat', 'Self-paced'),
+    instance: extractInstanceDetails(courseResponse, instance),
+    otherInstances: extractOtherInstances(courseResponse, instance),
+    coreModules,
+    prerequisites,
+    jobAids,
+    learningProgram: loType === 'learningProgram' ? extractLearningProgram(courseResponse) : null,
+    certification: loType === 'certification' ? extractCertification(courseResponse, instance) : null,
+    jobAid: loType === 'jobAid' ? extractJobAid(courseResponse, instance) : null,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Generates the page HTML with the template of the learning object's type (see ./templates.js)
+ */
+function generateCourseHTML(courseData, logger) {
+  logger.info(`Generating ${courseData.loType} HTML with EDS structure`);
+  return renderPage(courseData);
+}
+
+module.exports = {
+  processCourseData,
+  generateCourseHTML,
+  escapeHtml,
+};
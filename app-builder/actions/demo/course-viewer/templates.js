@@ -0,0 +1,404 @@
+/*
+* <license header>
+*/
+
+/**
+ * BYOM page templates, one per ALM learning object type.
+ *
+ * Every template renders the same head (meta tags for EDS indexing) and course header; the body
+ * of the course-overview block depends on the type: modules for courses, sections of sub learning
+ * objects for learning programs, validity and badge for certifications, the downloadable resource
+ * for job aids. All but job aids show the rendered instance (dates, deadlines, seats, locations)
+ * and link the other active instances. The block gets the type as variant class
+ * (e.g. `course-overview learning-program`).
+ */
+const { escapeHtml } = require('./helpers.js');
+
+const DEFAULT_IMAGE_URL = 'https://images.unsplash.com/photo-1516321318423-f06f85e504b3?w=1200&q=80';
+
+/**
+ * Renders the prerequisites shared by all types
+ */
+function renderPrerequisites(courseData) {
+  if (courseData.prerequisites.length === 0) {
+    return '';
+  }
+  return `
+    <div class="course-section prerequisites-section">
+      <h2 class="section-title">${escapeHtml(courseData.courseType)} Prerequisites <span class="optional-label">(Optional)</span></h2>
+      <div class="prerequisites-content">
+        ${courseData.prerequisites.map((prereq) => `
+          <div class="prerequisite-item">
+            <span class="prerequisite-type">Course: ${escapeHtml(prereq.type)}</span>
+            <a href="#" class="prerequisite-link">${escapeHtml(prereq.name)}</a>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders the job aids attached to a learning object
+ */
+function renderJobAids(courseData) {
+  if (courseData.jobAids.length === 0) {
+    return '';
+  }
+  return `
+    <div class="sidebar-section job-aids-section">
+      <h3 class="sidebar-title">🔧 Job aids</h3>
+      <div class="job-aids-list">
+        ${courseData.jobAids.map((jobAid) => `
+          <div class="job-aid-item">
+            <a href="#" class="job-aid-link">${escapeHtml(jobAid.name)}</a>
+            <p class="job-aid-description">${escapeHtml(jobAid.description)}</p>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders the details of the instance the page shows, skipping what the instance doesn't have
+ */
+function renderInstance(courseData) {
+  const { instance } = courseData;
+  if (!instance) {
+    return '';
+  }
+
+  const details = [
+    ['Starts', instance.startDate],
+    ['Ends', instance.endDate],
+    ['Enroll by', instance.enrollmentDeadline],
+    ['Complete by', instance.completionDeadline],
+    ['Seats', instance.seatLimit],
+    ['Location', instance.locations.join(', ')],
+  ].filter(([, value]) => value);
+
+  return `
+    <div class="sidebar-section instance-section" data-instance-id="${escapeHtml(instance.id)}">
+      <h3 class="sidebar-title">${escapeHtml(instance.name)}</h3>
+      ${details.length > 0 ? `
+        <dl class="instance-details">
+          ${details.map(([label, value]) => `
+            <dt>${label}</dt>
+            <dd>${escapeHtml(String(value))}</dd>
+          `).join('')}
+        </dl>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Renders links to the other active instances
+ */
+function renderInstanceSwitcher(courseData) {
+  if (courseData.otherInstances.length === 0) {
+    return '';
+  }
+  return `
+    <div class="sidebar-section instance-switcher">
+      <h3 class="sidebar-title">Other instances</h3>
+      <ul class="instance-list">
+        ${courseData.otherInstances.map((other) => `
+          <li class="instance-item">
+            <a href="${escapeHtml(other.href)}" class="instance-link">${escapeHtml(other.name)}</a>
+            ${other.enrollmentDeadline ? `<span class="instance-deadline">Enroll by ${escapeHtml(other.enrollmentDeadline)}</span>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Renders a list of sub learning objects linking to their own overview pages
+ */
+function renderSubLos(subLos, ordered) {
+  const tag = ordered ? 'ol' : 'ul';
+  return `
+    <${tag} class="sub-lo-list">
+      ${subLos.map((subLo) => `
+        <li class="sub-lo-item" data-lo-id="${escapeHtml(subLo.id)}">
+          <span class="sub-lo-type">${escapeHtml(subLo.typeLabel)}: ${escapeHtml(subLo.format)}</span>
+          <a href="${escapeHtml(subLo.href)}" class="sub-lo-link">${escapeHtml(subLo.name)}</a>
+          <span class="sub-lo-duration">⏱️ ${escapeHtml(subLo.duration)}</span>
+        </li>
+      `).join('')}
+    </${tag}>
+  `;
+}
+
+/**
+ * Course: modules of the instance, progress and job aids
+ */
+function renderCourse(courseData) {
+  const coreContentCompleted = courseData.coreModules.filter((m) => m.isCompleted).length;
+  const totalCoreContent = courseData.coreModules.length;
+
+  return {
+    main: `
+      ${renderPrerequisites(courseData)}
+      <div class="course-section modules-section">
+        <div class="section-tabs">
+          <button class="tab-button active">Modules</button>
+          <button class="tab-button">Notes</button>
+        </div>
+        <div class="modules-content">
+          <div class="core-content-section">
+            <h3 class="content-title">
+              Core content
+              <span class="duration-badge">⏱️ ${escapeHtml(courseData.courseDuration)} (estimated)</span>
+            </h3>
+            <div class="modules-list">
+              ${courseData.coreModules.map((module) => `
+                <div class="module-item ${module.status}" data-resource-id="${escapeHtml(module.id)}" data-course-id="${escapeHtml(courseData.courseId)}">
+                  <div class="module-icon">⭐</div>
+                  <div class="module-content">
+                    <div class="module-header">
+                      <span class="module-type">${escapeHtml(module.type)}: ${escapeHtml(module.contentType)}</span>
+                    </div>
+                    <div class="module-title">
+                      <a href="#" class="module-link">${escapeHtml(module.name)}</a>
+                    </div>
+                    <div class="module-meta">
+                      <span class="module-duration">⏱️ ${escapeHtml(module.duration)}</span>
+                      <span class="module-status">${module.statusIcon} ${escapeHtml(module.statusText)}</span>
+                    </div>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      </div>
+    `,
+    sidebar: `
+      <div class="sidebar-actions">
+        <button class="continue-btn">Start</button>
+      </div>
+
+      <div class="sidebar-section progress-section">
+        <div class="progress-item">
+          <span class="progress-count">${coreContentCompleted}/${totalCoreContent}</span>
+          <span class="progress-label">Core content completed</span>
+        </div>
+      </div>
+
+      ${renderInstance(courseData)}
+      ${renderInstanceSwitcher(courseData)}
+      ${renderJobAids(courseData)}
+    `,
+  };
+}
+
+/**
+ * Learning program: its sections with their sub learning objects, in program order
+ */
+function renderLearningProgram(courseData) {
+  const { sections, isSubLoOrderEnforced } = courseData.learningProgram;
+  const subLoCount = sections.reduce((count, section) => count + section.items.length, 0);
+
+  return {
+    main: `
+      ${renderPrerequisites(courseData)}
+      <div class="course-section program-sections">
+        ${isSubLoOrderEnforced ? '<p class="program-order-note">Complete the courses in the order listed.</p>' : ''}
+        ${sections.map((section) => `
+          <div class="program-section">
+            <h3 class="content-title">
+              ${escapeHtml(section.title)}
+              <span class="section-requirement">${escapeHtml(section.requirement)}</span>
+            </h3>
+            ${renderSubLos(section.items, isSubLoOrderEnforced)}
+          </div>
+        `).join('')}
+      </div>
+    `,
+    sidebar: `
+      <div class="sidebar-actions">
+        <button class="continue-btn">Start</button>
+      </div>
+
+      <div class="sidebar-section program-summary">
+        <div class="progress-item">
+          <span class="progress-count">${subLoCount}</span>
+          <span class="progress-label">Courses in ${sections.length} section(s)</span>
+        </div>
+        <div class="progress-item">
+          <span class="progress-count">${escapeHtml(courseData.courseDuration)}</span>
+          <span class="progress-label">Estimated duration</span>
+        </div>
+      </div>
+
+      ${renderInstance(courseData)}
+      ${renderInstanceSwitcher(courseData)}
+      ${renderJobAids(courseData)}
+    `,
+  };
+}
+
+/**
+ * Certification: what has to be completed, how long the certification stays valid and its badge
+ */
+function renderCertification(courseData) {
+  const {
+    validity, isExternal, badge, subLos,
+  } = courseData.certification;
+
+  return {
+    main: `
+      ${renderPrerequisites(courseData)}
+      <div class="course-section certification-details">
+        <p class="certification-description">${escapeHtml(courseData.courseDescription)}</p>
+        ${isExternal ? `
+          <p class="certification-external">This certification is awarded after your proof of completion has been approved.</p>
+        ` : ''}
+        ${subLos.length > 0 ? `
+          <h3 class="content-title">Complete to earn this certification</h3>
+          ${renderSubLos(subLos, false)}
+        ` : ''}
+      </div>
+    `,
+    sidebar: `
+      <div class="sidebar-actions">
+        <button class="continue-btn">Start</button>
+      </div>
+
+      ${badge ? `
+        <div class="sidebar-section certification-badge">
+          <img class="badge-image" src="${escapeHtml(badge.imageUrl)}" alt="${escapeHtml(badge.name)}">
+          <span class="badge-name">${escapeHtml(badge.name)}</span>
+        </div>
+      ` : ''}
+
+      <div class="sidebar-section certification-validity">
+        <div class="progress-item">
+          <span class="progress-count">${escapeHtml(validity)}</span>
+          <span class="progress-label">Validity</span>
+        </div>
+      </div>
+
+      ${renderInstance(courseData)}
+      ${renderInstanceSwitcher(courseData)}
+      ${renderJobAids(courseData)}
+    `,
+  };
+}
+
+/**
+ * Job aid: the downloadable resource
+ */
+function renderJobAid(courseData) {
+  const { resource } = courseData.jobAid;
+
+  return {
+    main: `
+      <div class="course-section job-aid-details">
+        <p class="job-aid-description">${escapeHtml(courseData.courseDescription)}</p>
+      </div>
+    `,
+    sidebar: resource ? `
+      <div class="sidebar-actions">
+        <a class="continue-btn job-aid-download" href="${escapeHtml(resource.url)}" target="_blank" rel="noopener noreferrer" download>Download</a>
+      </div>
+
+      <div class="sidebar-section job-aid-resource">
+        <div class="progress-item">
+          <span class="progress-count">${escapeHtml(resource.contentType)}</span>
+          <span class="progress-label">${escapeHtml(resource.name)}</span>
+        </div>
+      </div>
+    ` : `
+      <div class="sidebar-section job-aid-resource">
+        <span class="progress-label">No downloadable resource available</span>
+      </div>
+    `,
+  };
+}
+
+const LO_TEMPLATES = {
+  course: { variant: '', render: renderCourse },
+  learningProgram: { variant: 'learning-program', render: renderLearningProgram },
+  certification: { variant: 'certification', render: renderCertification },
+  jobAid: { variant: 'job-aid', render: renderJobAid },
+};
+
+/**
+ * Renders the full page for a processed learning object, with the template of its type
+ * (the course template for unknown types)
+ */
+function renderPage(courseData) {
+  const template = LO_TEMPLATES[courseData.loType] || LO_TEMPLATES.course;
+  const { main, sidebar } = template.render(courseData);
+  const blockClass = ['course-overview', template.variant].filter(Boolean).join(' ');
+  const imageUrl = courseData.imageUrl || DEFAULT_IMAGE_URL;
+
+  return `<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(courseData.courseTitle)} - Course Viewer</title>
+  <meta name="description" content="${escapeHtml(courseData.courseDescription)}">
+  <meta name="author" content="ALM Course Viewer">
+  <meta name="timestamp" content="${courseData.timestamp}">
+
+  <!-- Course Meta Tags for EDS Indexing -->
+  <meta name="course-id" content="${escapeHtml(courseData.courseId)}">
+  <meta name="course-title" content="${escapeHtml(courseData.courseTitle)}">
+  <meta name="course-duration" content="${escapeHtml(courseData.courseDuration)}">
+  <meta name="course-skill-level" content="${escapeHtml(courseData.courseLevel)}">
+  <meta name="course-skills" content="${escapeHtml(courseData.courseSkills)}">
+  <meta name="course-type" content="${escapeHtml(courseData.courseType)}">
+  <meta name="course-rating" content="${courseData.ratingAvg}">
+  <meta name="course-enrollment-count" content="${courseData.enrollmentCount}">
+  <meta name="lo-type" content="${escapeHtml(courseData.loType)}">
+  <meta name="course-instance-id" content="${escapeHtml(courseData.instance ? courseData.instance.id : '')}">
+
+  <!-- Open Graph Meta Tags -->
+  <meta property="og:type" content="website">
+  <meta property="og:title" content="${escapeHtml(courseData.courseTitle)} - Course Viewer">
+  <meta property="og:description" content="${escapeHtml(courseData.courseDescription)}">
+  <meta property="og:image" content="${escapeHtml(imageUrl)}">
+</head>
+
+<body>
+  <header></header>
+  <main>
+    <div>
+      <div class="${blockClass}">
+        <!-- Course Header -->
+        <div class="course-header">
+          <div class="course-hero">
+            <h1 class="course-title">${escapeHtml(courseData.courseTitle)}</h1>
+            <div class="course-format">${escapeHtml(courseData.courseType)} · ${escapeHtml(courseData.loFormat)}</div>
+          </div>
+        </div>
+
+        <!-- Main Content -->
+        <div class="course-main-content">
+          <!-- Left Content -->
+          <div class="course-left-content">
+            ${main}
+          </div>
+
+          <!-- Sidebar -->
+          <div class="course-sidebar">
+            ${sidebar}
+          </div>
+        </div>
+      </div>
+    </div>
+  </main>
+  <footer></footer>
+</body>
+
+</html>`;
+}
+
+module.exports = {
+  LO_TEMPLATES,
+  renderPage,
+};
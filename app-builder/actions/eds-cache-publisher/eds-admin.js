@@ -0,0 +1,175 @@
+/*
+* <license header>
+*/
+
+/**
+ * EDS Admin API calls for course overview pages: resolves the `/overview/trainingId/...` paths of
+ * a course and calls admin.hlx.page for one path at a time. Retries are up to the publish queue.
+ */
+const fetch = require('node-fetch');
+const { LO_TYPES, createAlmClient } = require('../alm-client.js');
+const { getEnvironment } = require('../environment.js');
+const { toEdsInstanceId } = require('../instance-ids.js');
+
+const EDS_ADMIN_BASE = 'https://admin.hlx.page';
+
+/**
+ * Admin API routes (tiers) each publish mode updates, in publishing order
+ */
+const PUBLISH_MODES = {
+  preview: ['preview'],
+  'preview-live': ['preview', 'live'],
+  live: ['live'],
+};
+const DEFAULT_PUBLISH_MODE = 'preview';
+// retired pages go from every tier whatever the publish mode; live first, preview can only be
+// deleted once the page is unpublished (and course-viewer answers 404)
+const UNPUBLISH_ROUTES = ['live', 'preview'];
+
+/**
+ * Returns the tiers to update from the environment's publish mode (`preview`, `preview-live` or
+ * `live`)
+ */
+function getPublishRoutes(params) {
+  const mode = getEnvironment(params).publishMode || DEFAULT_PUBLISH_MODE;
+  if (!PUBLISH_MODES[mode]) {
+    const modes = Object.keys(PUBLISH_MODES).join(', ');
+    throw new Error(`Unsupported publish mode '${mode}', expected one of ${modes}`);
+  }
+  return PUBLISH_MODES[mode];
+}
+
+/**
+ * Lists the Admin API calls for one path, each depending on the previous one (`afterRoute`):
+ * publishing (`refresh`, `redirect`) goes through the publish mode's tiers, unpublishing takes the
+ * page off live before deleting its preview
+ *
+ * @param {string} action `refresh`, `redirect` or `unpublish`
+ * @param {string} path
+ * @param {object} params action input parameters (environment)
+ * @returns {object[]} `{ route, method, path, afterRoute }`
+ */
+function getAdminRequests(action, path, params) {
+  const routes = action === 'unpublish' ? UNPUBLISH_ROUTES : getPublishRoutes(params);
+  const method = action === 'unpublish' ? 'DELETE' : 'POST';
+  return routes.map((route, index) => ({
+    route,
+    method,
+    path,
+    afterRoute: index > 0 ? routes[index - 1] : null,
+  }));
+}
+
+/**
+ * Admin API URL of a path on one route of the environment's org/site/ref
+ */
+function getAdminUrl(route, path, params) {
+  const { org, site, ref } = getEnvironment(params).eds;
+  return `${EDS_ADMIN_BASE}/${route}/${org}/${site}/${ref}${path}`;
+}
+
+/**
+ * Fetches all instances for a course from ALM API
+ */
+async function fetchCourseInstances(courseId, params, logger) {
+  try {
+    const client = createAlmClient({ params, logger });
+    const learningObject = await client.findLearningObject(courseId, {
+      loTypes: LO_TYPES,
+    });
+    if (!learningObject) {
+      logger.error(`Failed to fetch course instances: ${courseId} not found`);
+      return [];
+    }
+
+    const almInstances = await client.listInstances(learningObject.data.id);
+    const instances = almInstances.map((instanceData) => ({
+      id: toEdsInstanceId(instanceData.id), // Use EDS format for cache URLs
+      almId: instanceData.id, // Keep ALM format for reference
+      name: instanceData.attributes?.localizedMetadata?.[0]?.name || 'Default Instance',
+      state: instanceData.attributes?.state || 'Active',
+    }));
+
+    logger.info(`Found ${instances.length} instances for course ${courseId}`);
+    instances.forEach((instance) => {
+      logger.debug(`Instance: ${instance.id} (ALM: ${instance.almId}) - ${instance.name}`
+        + ` (${instance.state})`);
+    });
+
+    return instances;
+  } catch (error) {
+    logger.error('Error fetching course instances:', error);
+    return [];
+  }
+}
+
+/**
+ * Resolves the EDS paths of a course: the given instance, else every instance of the course,
+ * else the course-level page when the course has no instances
+ */
+async function getCoursePaths(courseId, instanceId, params, logger) {
+  if (instanceId) {
+    return [`/overview/trainingId/${courseId}/trainingInstanceId/${instanceId}`];
+  }
+
+  logger.info('No instance ID provided - fetching all instances for course');
+  const instances = await fetchCourseInstances(courseId, params, logger);
+  if (instances.length === 0) {
+    logger.warn(`No instances found for course ${courseId} - using course-level path`);
+    return [`/overview/trainingId/${courseId}`];
+  }
+  return instances
+    .map((instance) => `/overview/trainingId/${courseId}/trainingInstanceId/${instance.id}`);
+}
+
+/**
+ * Calls the EDS Admin API for one path and reports the outcome.
+ * `retryAfter` carries the Retry-After header (seconds) of throttled responses.
+ */
+async function callEdsAdmin(route, method, path, params, logger) {
+  const url = getAdminUrl(route, path, params);
+  logger.info(`${method} ${url}`);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `token ${params.EDS_AUTH_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      redirect: 'follow',
+      body: method === 'POST' ? JSON.stringify({ refresh: true }) : undefined,
+    });
+    const result = await response.text();
+
+    if (response.ok) {
+      logger.info(`EDS ${route} ${method} succeeded for ${path}: ${response.status}`);
+      return {
+        path, route, success: true, status: response.status,
+      };
+    }
+    logger.warn(`EDS ${route} ${method} failed for ${path}: ${response.status} - ${result}`);
+    return {
+      path,
+      route,
+      success: false,
+      status: response.status,
+      error: result || response.headers.get('x-error'),
+      retryAfter: Number(response.headers.get('retry-after')) || null,
+    };
+  } catch (error) {
+    logger.error(`Error calling EDS ${route} for ${path}:`, error);
+    return {
+      path, route, success: false, error: error.message,
+    };
+  }
+}
+
+module.exports = {
+  PUBLISH_MODES,
+  getPublishRoutes,
+  callEdsAdmin,
+  getAdminRequests,
+  getAdminUrl,
+  getCoursePaths,
+};
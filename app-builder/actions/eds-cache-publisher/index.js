@@ -0,0 +1,448 @@
+/*
+* <license header>
+*/
+
+/**
+ * Action: EDS Cache Publisher
+ * Purpose: Receives ALM webhook notifications and keeps the course overview pages on EDS in sync by
+ *          driving the Helix Admin API for every affected `/overview/trainingId/*` path.
+ *
+ * How it works:
+ * - Answers the ALM "Test Connection" handshake
+ * - Detects the webhook payload (raw body, `events` param, `body` string or object, nested
+ *   property, or individual event params) and verifies its signature (see ../webhook-auth.js),
+ *   401 otherwise
+ * - Processes every event of the batch, de-duplicated by loId: the paths of published/updated/
+ *   created learning objects are queued for preview, those of retired/deleted ones for
+ *   unpublishing (live and preview), or for re-publishing when a redirect is configured for them
+ *   (see ../course-redirects.js), and the publish queue is worked off right away (see ./queue.js
+ *   and ./eds-admin.js)
+ * - Events already received are reported as `replayed` and skipped; failed events are released so
+ *   ALM can redeliver them
+ *
+ * The org/site/ref and the tiers to update (`preview`, `preview-live` or `live`) come from the
+ * environment (APP_ENV, see ../environment.js), EDS_ORG/EDS_SITE/EDS_REF/EDS_PUBLISH_MODE override
+ * them. With `params.dryRun` (or EDS_PUBLISH_DRY_RUN) the report lists the Admin API calls that
+ * would be made and nothing is queued.
+ *
+ * Operations (`params.operation`, or the web path `/status` and `/process`):
+ * - `status`: reports the publish queue, optionally filtered by `params.status` and `params.path`
+ *   (prefix)
+ * - `process`: works off the due jobs; meant for a scheduled trigger so retries happen without new
+ *   events
+ * Web requests for these need the webhook shared secret header.
+ *
+ * Inputs:
+ * - params.events (array) or the raw request body: ALM webhook batch
+ * - params.ALM_WEBHOOK_SECRET, params.EDS_AUTH_TOKEN, ALM admin credentials
+ *
+ * Output:
+ * - JSON report (`status`, `eventCount`, per-event `results` with the state of every path), or the
+ *   queue report for the operations
+ */
+/* eslint-disable no-underscore-dangle -- OpenWhisk request fields */
+const { Core } = require('@adobe/aio-sdk');
+const { errorResponse } = require('../utils.js');
+const {
+  verifyWebhookRequest, verifySharedSecret, claimWebhookEvents, releaseWebhookEvents,
+  parseTimestamp,
+} = require('../webhook-auth.js');
+const { getAdminRequests, getAdminUrl, getCoursePaths } = require('./eds-admin.js');
+const { toEdsInstanceId } = require('../instance-ids.js');
+const {
+  enqueue, processQueue, getQueueStatus, JOB_STATUSES,
+} = require('./queue.js');
+const { getRetiredRedirect } = require('../course-redirects.js');
+
+function isDryRun(params) {
+  return [params.dryRun, params.EDS_PUBLISH_DRY_RUN]
+    .some((value) => value === true || value === 'true');
+}
+
+function jsonResponse(body) {
+  return {
+    statusCode: 200,
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  };
+}
+
+/**
+ * Answers the status endpoint: job counts per status plus the jobs matching the optional
+ * `status` and `path` (prefix) query parameters
+ */
+async function queueStatusResponse(params, logger) {
+  if (params.status && !JOB_STATUSES.includes(params.status)) {
+    return errorResponse(400, `status must be one of ${JOB_STATUSES.join(', ')}`, logger);
+  }
+  return jsonResponse(await getQueueStatus({ status: params.status, path: params.path }));
+}
+
+/**
+ * Parses the raw request body of a raw-http invocation, null when absent or not JSON
+ */
+function parseRawBody(params) {
+  if (typeof params.__ow_body !== 'string' || !params.__ow_body) return null;
+  try {
+    return JSON.parse(params.__ow_body);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finds the webhook payload (`{ events: [...] }`) in the different formats ALM and proxies deliver
+ */
+function findWebhookData(params, rawBody, logger) {
+  let webhookData = null;
+
+  if (rawBody && Array.isArray(rawBody.events)) {
+    // Format 0: Raw JSON body (raw-http web action, needed for signature verification)
+    webhookData = rawBody;
+    logger.info('Found webhook payload format 0: Raw JSON body');
+  } else if (params.events && Array.isArray(params.events) && params.events.length > 0) {
+    // Format 1: Direct events array
+    webhookData = params;
+    logger.info('Found webhook payload format 1: Direct events array');
+  } else if (params.body && typeof params.body === 'string') {
+    // Format 2: Nested in body
+    try {
+      const parsedBody = JSON.parse(params.body);
+      if (parsedBody.events && Array.isArray(parsedBody.events)) {
+        webhookData = parsedBody;
+        logger.info('Found webhook payload format 2: JSON string in body');
+      }
+    } catch (e) {
+      logger.warn('Failed to parse body as JSON:', e.message);
+    }
+  } else if (params.body && typeof params.body === 'object' && params.body.events) {
+    // Format 3: Already parsed body object
+    webhookData = params.body;
+    logger.info('Found webhook payload format 3: Object in body');
+  } else {
+    // Format 4: Check for any property that looks like webhook data
+    const entry = Object.entries(params).find(([, value]) => value && typeof value === 'object'
+      && Array.isArray(value.events));
+    if (entry) {
+      [, webhookData] = entry;
+      logger.info(`Found webhook payload format 4: In property '${entry[0]}'`);
+    }
+  }
+
+  // Format 5: Check if the webhook data might be in a different structure
+  // Some webhooks send data as individual parameters
+  if (!webhookData && params.accountId) {
+    // Try to reconstruct webhook data from individual parameters
+    const reconstructedData = {
+      accountId: params.accountId,
+      events: [],
+    };
+
+    // Look for event data in various parameter formats
+    if (params.eventId && params.eventName && params.loId) {
+      reconstructedData.events.push({
+        eventId: params.eventId,
+        eventName: params.eventName,
+        timestamp: params.timestamp || new Date().toISOString(),
+        eventInfo: params.eventInfo || '',
+        data: {
+          loId: params.loId,
+          loType: params.loType || 'course',
+        },
+      });
+      webhookData = reconstructedData;
+      logger.info('Found webhook payload format 5: Reconstructed from individual parameters');
+    }
+  }
+
+  return webhookData;
+}
+
+/**
+ * ALM webhook event names are `<LO TYPE>_<WHAT HAPPENED>`, e.g. `COURSE_PUBLISHED`,
+ * `LEARNING_PROGRAM_RETIRED` or `COURSE_INSTANCE_CREATED`. Each maps to one EDS action:
+ * - `refresh`: re-preview the affected course pages
+ * - `unpublish`: take the affected course pages off the live site
+ * Events matching none of the patterns are ignored.
+ */
+const WEBHOOK_EVENT_ACTIONS = [
+  { pattern: /_(RETIRED|DELETED)$/, action: 'unpublish' },
+  { pattern: /_(CREATED|PUBLISHED|UNRETIRED|UPDATED|MODIFIED)$/, action: 'refresh' },
+];
+
+/**
+ * Normalizes a raw ALM webhook event into what we need to act on it
+ */
+function parseWebhookEvent(event) {
+  const eventName = String(event.eventName || '').toUpperCase();
+  const loId = event.data && event.data.loId;
+  const parsed = {
+    eventId: event.eventId,
+    eventName,
+    loId,
+    // read like the signature check does: seconds, milliseconds or a date string
+    timestamp: parseTimestamp(event.timestamp) || 0,
+  };
+
+  // Extract course ID from loId (e.g., "learningProgram:123836" -> "123836")
+  const loIdParts = loId ? loId.split(':') : [];
+  if (loIdParts.length !== 2) {
+    return { ...parsed, error: loId ? `Invalid loId format: ${loId}` : 'Missing loId in event data' };
+  }
+
+  const match = WEBHOOK_EVENT_ACTIONS.find(({ pattern }) => pattern.test(eventName));
+  return {
+    ...parsed,
+    courseId: loIdParts[1],
+    // instance events only affect that instance's page
+    instanceId: eventName.includes('_INSTANCE_') && event.data.instanceId
+      ? toEdsInstanceId(event.data.instanceId)
+      : null,
+    action: match ? match.action : null,
+  };
+}
+
+/**
+ * Resolves the pages of a retired course: its current pages plus every page of it the queue has
+ * seen, so instances ALM no longer lists (or a deleted course) are handled as well
+ */
+async function getRetiredPaths(courseId, instanceId, params, logger) {
+  const paths = await getCoursePaths(courseId, instanceId, params, logger);
+  if (instanceId) {
+    return paths;
+  }
+  const coursePath = `/overview/trainingId/${courseId}`;
+  const { jobs } = await getQueueStatus({ path: coursePath });
+  const knownPaths = jobs
+    .map((job) => job.path)
+    .filter((path) => path === coursePath || path.startsWith(`${coursePath}/`));
+  return [...new Set([...paths, ...knownPaths])];
+}
+
+/**
+ * Reports a queued job in an event result
+ */
+function toPathResult(job) {
+  return {
+    path: job.path,
+    route: job.route,
+    status: job.status,
+    attempts: job.attempts,
+    nextAttemptAt: job.status === 'retrying' ? job.nextAttemptAt : undefined,
+    error: job.lastError || undefined,
+  };
+}
+
+/**
+ * Processes every event of an ALM webhook batch.
+ * Events are de-duplicated by loId: the latest event of each learning object decides what
+ * happens to its pages, earlier ones are reported as merged into it.
+ * Events whose ID is in `replayedIds` were already received and are skipped.
+ * The affected paths are put on the publish queue (see ./queue.js), which is then worked off;
+ * an event is `processed` once all its paths succeeded, `queued` while some are still retrying.
+ * With `dryRun` nothing is queued and each event lists the Admin API calls it would cause.
+ * Returns one result per received event.
+ */
+async function processWebhookEvents(
+  events,
+  params,
+  logger,
+  replayedIds = new Set(),
+  dryRun = false,
+) {
+  const parsedEvents = events.map(parseWebhookEvent);
+  const results = new Map();
+
+  const byLoId = new Map();
+  parsedEvents.forEach((event, index) => {
+    if (event.eventId && replayedIds.has(event.eventId)) {
+      results.set(index, {
+        eventId: event.eventId, eventName: event.eventName, loId: event.loId, status: 'replayed',
+      });
+    } else if (event.error) {
+      results.set(index, {
+        eventId: event.eventId,
+        eventName: event.eventName,
+        loId: event.loId,
+        status: 'invalid',
+        error: event.error,
+      });
+    } else if (!event.action) {
+      results.set(index, {
+        eventId: event.eventId, eventName: event.eventName, loId: event.loId, status: 'ignored',
+      });
+    } else {
+      if (!byLoId.has(event.loId)) byLoId.set(event.loId, []);
+      byLoId.get(event.loId).push({ event, index });
+    }
+  });
+
+  // learning objects are handled one at a time to keep the Admin API calls in batch order
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [loId, group] of byLoId) {
+    // stable sort keeps batch order for events without timestamps
+    const ordered = [...group].sort((a, b) => a.event.timestamp - b.event.timestamp);
+    const { event: latest, index: latestIndex } = ordered[ordered.length - 1];
+
+    // a course-level event anywhere in the group widens a refresh to every instance (null)
+    let instanceIds = [latest.instanceId];
+    if (latest.action === 'refresh') {
+      instanceIds = group.every(({ event }) => event.instanceId && event.action === 'refresh')
+        ? [...new Set(group.map(({ event }) => event.instanceId))]
+        : [null];
+    }
+
+    let { action } = latest;
+    let redirect = null;
+    let outcome;
+    try {
+      // retired courses with a redirect target are re-published so EDS picks up course-viewer's 301
+      redirect = action === 'unpublish' ? getRetiredRedirect(latest.courseId, params) : null;
+      if (redirect) action = 'redirect';
+      logger.info(`Processing ${latest.eventName} for ${loId}: ${action} (${group.length} event(s))`);
+
+      const getPaths = latest.action === 'unpublish' ? getRetiredPaths : getCoursePaths;
+      // eslint-disable-next-line no-await-in-loop
+      const pathLists = await Promise.all(instanceIds
+        .map((instanceId) => getPaths(latest.courseId, instanceId, params, logger)));
+      const source = { eventId: latest.eventId, eventName: latest.eventName, loId };
+      const requests = pathLists.flat().flatMap((path) => getAdminRequests(action, path, params)
+        .map((request) => ({ ...request, source })));
+      if (dryRun) {
+        outcome = {
+          status: 'dry-run',
+          requests: requests.map(({ route, method, path }) => ({
+            method, url: getAdminUrl(route, path, params),
+          })),
+        };
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        outcome = { status: 'queued', jobs: await enqueue(requests) };
+      }
+    } catch (error) {
+      logger.error(`Error processing webhook event for ${loId}:`, error);
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    group.forEach(({ event, index }) => {
+      const base = {
+        eventId: event.eventId,
+        eventName: event.eventName,
+        loId,
+        action,
+        redirect: redirect || undefined,
+      };
+      results.set(index, index === latestIndex
+        ? { ...base, ...outcome }
+        : { ...base, status: 'merged', mergedInto: latest.eventId });
+    });
+  }
+
+  if (dryRun) {
+    return parsedEvents.map((event, index) => results.get(index));
+  }
+
+  // work the new jobs off right away; whatever fails stays queued for the scheduled runs
+  const { jobs: processedJobs } = await processQueue(params, logger);
+  const jobsById = new Map(processedJobs.map((job) => [job.id, job]));
+  results.forEach((result, index) => {
+    if (!result.jobs) return;
+    const paths = result.jobs.map((job) => toPathResult(jobsById.get(job.id) || job));
+    let status = 'queued';
+    if (paths.some((path) => path.status === 'failed')) status = 'failed';
+    else if (paths.every((path) => path.status === 'succeeded')) status = 'processed';
+    const { jobs, ...rest } = result;
+    results.set(index, { ...rest, status, paths });
+  });
+
+  return parsedEvents.map((event, index) => results.get(index));
+}
+
+async function main(params) {
+  const logger = Core.Logger('eds-cache-publisher', { level: params.LOG_LEVEL || 'info' });
+
+  try {
+    logger.info('Invoked eds-cache-publisher action');
+
+    // params carry credentials (webhook secret, admin tokens), so only their names are logged
+    logger.info('Received params keys:', Object.keys(params));
+
+    const operation = params.operation || (params.__ow_path || '').replace(/^\/+/, '');
+    if (operation === 'status' || operation === 'process') {
+      // web requests need the shared secret; scheduled (trigger) invocations have no headers
+      if (params.__ow_method && !verifySharedSecret(params)) {
+        return errorResponse(401, 'Unauthorized', logger);
+      }
+      return operation === 'status'
+        ? await queueStatusResponse(params, logger)
+        : jsonResponse(await processQueue(params, logger));
+    }
+
+    const rawBody = parseRawBody(params);
+
+    // Check if this is a test connection
+    if (params.message === 'Test Connection' || (rawBody && rawBody.message === 'Test Connection')) {
+      logger.info('Received test connection from webhook - returning success response');
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          status: 'success',
+          message: 'Webhook endpoint is working correctly',
+          timestamp: new Date().toISOString(),
+        }),
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      };
+    }
+
+    const webhookData = findWebhookData(params, rawBody, logger);
+    if (!webhookData || !webhookData.events || webhookData.events.length === 0) {
+      logger.error('No valid webhook payload found');
+      return errorResponse(400, 'Missing webhook payload', logger);
+    }
+
+    logger.info(`Processing webhook payload from ALM with ${webhookData.events.length} event(s)`);
+    const verification = verifyWebhookRequest(params, webhookData, logger);
+    if (!verification.ok) {
+      return errorResponse(401, `Unauthorized webhook request: ${verification.message}`, logger);
+    }
+    logger.debug('Full ALM webhook payload:', JSON.stringify(webhookData, null, 2));
+
+    // a dry run neither consumes the event IDs nor touches the queue
+    const dryRun = isDryRun(params);
+    if (dryRun) {
+      const results = await processWebhookEvents(
+        webhookData.events,
+        params,
+        logger,
+        new Set(),
+        true,
+      );
+      return jsonResponse({ status: 'dry-run', eventCount: webhookData.events.length, results });
+    }
+
+    const replayedIds = await claimWebhookEvents(webhookData.events, params);
+    const results = await processWebhookEvents(webhookData.events, params, logger, replayedIds);
+
+    // let ALM redeliver whatever failed
+    const failedLoIds = new Set(results.filter((r) => r.status === 'failed').map((r) => r.loId));
+    await releaseWebhookEvents(results
+      .filter((r) => r.eventId && failedLoIds.has(r.loId)
+        && (r.status === 'failed' || r.status === 'merged'))
+      .map((r) => r.eventId));
+
+    return jsonResponse({
+      status: results.some((r) => r.status === 'failed') ? 'partial' : 'success',
+      eventCount: webhookData.events.length,
+      results,
+    });
+  } catch (error) {
+    logger.error('Error in eds-cache-publisher action:', error);
+    return errorResponse(500, 'server error', logger);
+  }
+}
+
+module.exports = { main };
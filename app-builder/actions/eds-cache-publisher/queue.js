@@ -0,0 +1,284 @@
+/*
+* <license header>
+*/
+
+/**
+ * Durable publish queue for EDS Admin API calls, backed by aio-lib-files.
+ *
+ * Every (route, path) pair is one job stored as `eds-publish-queue/<id>.json`, so enqueueing the
+ * same page again just resets its job. Jobs are worked off by `processQueue`, which calls the Admin
+ * API one path at a time under a rate limit, reschedules failures with exponential backoff and
+ * keeps the outcome of every path for the status endpoint.
+ *
+ * Job statuses: `pending`, `in-progress`, `retrying`, `succeeded`, `failed` (retries exhausted or
+ * the Admin API rejected the request for good). A job with `after` waits until that job succeeded
+ * (live after preview) and fails when it failed.
+ */
+const crypto = require('crypto');
+const filesLib = require('@adobe/aio-lib-files');
+const { callEdsAdmin } = require('./eds-admin.js');
+
+const QUEUE_DIR = 'eds-publish-queue/';
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+// requests per second sent to the Admin API by one invocation
+const DEFAULT_RATE_LIMIT = 5;
+// stop starting new calls after this long, so the invocation ends before the action timeout
+const DEFAULT_TIME_BUDGET_MS = 45 * 1000;
+// an `in-progress` job whose lease ran out belongs to an invocation that died and is run again
+const LEASE_MS = 2 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 7;
+
+const JOB_STATUSES = ['pending', 'in-progress', 'retrying', 'succeeded', 'failed'];
+
+function getQueueOptions(params) {
+  return {
+    maxAttempts: Number(params.EDS_QUEUE_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    rateLimit: Number(params.EDS_ADMIN_RATE_LIMIT) || DEFAULT_RATE_LIMIT,
+    timeBudgetMs: Number(params.EDS_QUEUE_TIME_BUDGET_MS) || DEFAULT_TIME_BUDGET_MS,
+    retentionDays: Number(params.EDS_QUEUE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+function jobId(route, path) {
+  return crypto.createHash('sha1').update(`${route} ${path}`).digest('hex');
+}
+
+function jobFile(id) {
+  return `${QUEUE_DIR}${id}.json`;
+}
+
+async function readJob(files, id) {
+  try {
+    return JSON.parse((await files.read(jobFile(id))).toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+async function writeJob(files, job) {
+  await files.write(jobFile(job.id), JSON.stringify(job));
+  return job;
+}
+
+async function listJobs(files) {
+  const entries = await files.list(QUEUE_DIR);
+  const jobs = await Promise.all(entries
+    .filter((entry) => entry.name.endsWith('.json'))
+    .map((entry) => readJob(files, entry.name.slice(QUEUE_DIR.length, -'.json'.length))));
+  return jobs.filter(Boolean);
+}
+
+function isDue(job, now) {
+  if (job.status === 'in-progress') return Date.parse(job.leaseUntil) <= now;
+  return (job.status === 'pending' || job.status === 'retrying') && Date.parse(job.nextAttemptAt) <= now;
+}
+
+function isRetryable(result) {
+  return !result.status || result.status === 429 || result.status >= 500;
+}
+
+function backoffDelay(attempts, retryAfterSeconds) {
+  if (retryAfterSeconds) return retryAfterSeconds * 1000;
+  const exponential = BACKOFF_BASE_MS * (2 ** (attempts - 1));
+  return Math.min(exponential + Math.floor(Math.random() * BACKOFF_BASE_MS), BACKOFF_MAX_MS);
+}
+
+/**
+ * Adds Admin API calls to the queue; a call already queued for the same route and path is reset.
+ *
+ * @param {object[]} requests `{ route, method, path, afterRoute, source }`: `afterRoute` names the
+ *   route of the same path that has to succeed first, `source` describes what triggered the call
+ * @returns {Promise<object[]>} the queued jobs
+ */
+async function enqueue(requests) {
+  const files = await filesLib.init();
+  const now = new Date().toISOString();
+
+  return Promise.all(requests.map(async ({
+    route, method, path, afterRoute, source,
+  }) => {
+    const id = jobId(route, path);
+    const existing = await readJob(files, id);
+    return writeJob(files, {
+      id,
+      route,
+      method,
+      path,
+      after: afterRoute ? jobId(afterRoute, path) : null,
+      source,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastStatus: null,
+      lastError: null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    });
+  }));
+}
+
+/**
+ * Deletes succeeded jobs older than the retention period
+ */
+async function pruneJobs(files, jobs, retentionDays, logger) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = jobs.filter((job) => job.status === 'succeeded' && Date.parse(job.updatedAt) < cutoff);
+  if (expired.length > 0) {
+    await Promise.all(expired.map((job) => files.delete(jobFile(job.id))));
+    logger.info(`Pruned ${expired.length} succeeded publish job(s)`);
+  }
+}
+
+/**
+ * Works off the due jobs, oldest first, until the queue is empty, the time budget is spent or the
+ * Admin API throttles us.
+ *
+ * @param {object} params action input parameters (EDS_AUTH_TOKEN and queue settings)
+ * @param {object} logger
+ * @returns {Promise<object>} summary with the updated jobs
+ */
+async function processQueue(params, logger) {
+  if (!params.EDS_AUTH_TOKEN) {
+    logger.error('EDS_AUTH_TOKEN not provided, leaving the publish queue untouched');
+    return { processed: 0, jobs: [] };
+  }
+
+  const options = getQueueOptions(params);
+  const files = await filesLib.init();
+  const startedAt = Date.now();
+  const allJobs = await listJobs(files);
+  const jobsById = new Map(allJobs.map((job) => [job.id, job]));
+  // dependent jobs go last, so a live call can follow its preview call in the same run
+  const due = allJobs
+    .filter((job) => isDue(job, startedAt))
+    .sort((a, b) => (Boolean(a.after) - Boolean(b.after))
+      || (Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt)));
+  logger.info(`Publish queue: ${due.length} due of ${allJobs.length} job(s)`);
+
+  const interval = 1000 / options.rateLimit;
+  const updated = [];
+  let lastCallAt = 0;
+
+  // jobs run one at a time to honour the rate limit
+  // eslint-disable-next-line no-restricted-syntax
+  for (const job of due) {
+    if (Date.now() - startedAt > options.timeBudgetMs) {
+      logger.info('Publish queue time budget spent, leaving the remaining jobs for the next run');
+      break;
+    }
+
+    const dependency = job.after && jobsById.get(job.after);
+    if (dependency && dependency.status === 'failed') {
+      // eslint-disable-next-line no-await-in-loop
+      const saved = await writeJob(files, {
+        ...job,
+        status: 'failed',
+        lastError: `${dependency.route} ${dependency.method} failed`,
+        updatedAt: new Date().toISOString(),
+      });
+      jobsById.set(saved.id, saved);
+      updated.push(saved);
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    if (dependency && dependency.status !== 'succeeded') {
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const wait = lastCallAt + interval - Date.now();
+    // eslint-disable-next-line no-await-in-loop
+    if (wait > 0) await sleep(wait);
+    lastCallAt = Date.now();
+
+    // eslint-disable-next-line no-await-in-loop
+    await writeJob(files, {
+      ...job,
+      status: 'in-progress',
+      leaseUntil: new Date(Date.now() + LEASE_MS).toISOString(),
+    });
+
+    // eslint-disable-next-line no-await-in-loop
+    const result = await callEdsAdmin(job.route, job.method, job.path, params, logger);
+    const attempts = job.attempts + 1;
+    const now = new Date();
+    let next;
+    if (result.success) {
+      next = { status: 'succeeded', lastError: null };
+    } else if (isRetryable(result) && attempts < options.maxAttempts) {
+      const delay = backoffDelay(attempts, result.retryAfter);
+      next = {
+        status: 'retrying',
+        lastError: result.error,
+        nextAttemptAt: new Date(now.getTime() + delay).toISOString(),
+      };
+    } else {
+      next = { status: 'failed', lastError: result.error };
+    }
+
+    const { leaseUntil, ...rest } = job;
+    // eslint-disable-next-line no-await-in-loop
+    const saved = await writeJob(files, {
+      ...rest,
+      ...next,
+      attempts,
+      lastStatus: result.status || null,
+      updatedAt: now.toISOString(),
+    });
+    jobsById.set(saved.id, saved);
+    updated.push(saved);
+
+    if (result.status === 429) {
+      logger.warn('EDS Admin API is throttling, pausing the publish queue');
+      break;
+    }
+  }
+
+  await pruneJobs(files, allJobs, options.retentionDays, logger);
+
+  return {
+    processed: updated.length,
+    succeeded: updated.filter((job) => job.status === 'succeeded').length,
+    retrying: updated.filter((job) => job.status === 'retrying').length,
+    failed: updated.filter((job) => job.status === 'failed').length,
+    jobs: updated,
+  };
+}
+
+/**
+ * Reports the queue: job counts per status and the jobs matching the filters.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.status] only jobs with this status
+ * @param {string} [filters.path] only jobs whose path starts with this prefix
+ * @returns {Promise<object>}
+ */
+async function getQueueStatus({ status, path } = {}) {
+  const files = await filesLib.init();
+  const jobs = await listJobs(files);
+
+  const counts = Object.fromEntries(JOB_STATUSES.map((name) => [name, 0]));
+  jobs.forEach((job) => { counts[job.status] += 1; });
+
+  return {
+    total: jobs.length,
+    counts,
+    jobs: jobs
+      .filter((job) => (!status || job.status === status) && (!path || job.path.startsWith(path)))
+      .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt)),
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  enqueue,
+  getQueueStatus,
+  processQueue,
+};
@@ -0,0 +1,55 @@
+/*
+* <license header>
+*/
+
+/**
+ * Environment configuration for App Builder actions.
+ *
+ * The environment is picked with the APP_ENV param (dev, stage, prod; default: the
+ * `defaultEnvironment` of config/environments.json), whose values can be overridden per
+ * deployment with EDS_ORG, EDS_SITE, EDS_REF and EDS_PUBLISH_MODE.
+ */
+
+const { defaultEnvironment, environments } = require('../../config/environments.json'); // eslint-disable-line import/extensions
+
+/**
+ * Resolves the environment configuration for an invocation.
+ *
+ * @param {object} params action input parameters.
+ * @returns {{ name: string, eds: { org: string, site: string, ref: string }, publishMode: string }}
+ */
+function getEnvironment(params) {
+  const name = params.APP_ENV || defaultEnvironment;
+  const environment = environments[name];
+  if (!environment) {
+    throw new Error(`Unknown APP_ENV '${name}', expected one of ${Object.keys(environments).join(', ')}`);
+  }
+
+  return {
+    name,
+    eds: {
+      org: params.EDS_ORG || environment.eds.org,
+      site: params.EDS_SITE || environment.eds.site,
+      ref: params.EDS_REF || environment.eds.ref,
+    },
+    publishMode: params.EDS_PUBLISH_MODE || environment.publishMode,
+  };
+}
+
+/**
+ * Returns the EDS origin of the environment's site on one tier, e.g.
+ * `https://main--byomeds--rohitnegi02.aem.live`.
+ *
+ * @param {object} params action input parameters.
+ * @param {string} [tier] `live` or `page` (preview)
+ * @returns {string}
+ */
+function getSiteOrigin(params, tier = 'live') {
+  const { org, site, ref } = getEnvironment(params).eds;
+  return `https://${ref}--${site}--${org}.aem.${tier}`;
+}
+
+module.exports = {
+  getEnvironment,
+  getSiteOrigin,
+};
@@ -0,0 +1,38 @@
+/*
+* <license header>
+*/
+
+/**
+ * Conversions between ALM learning object instance ids and the form they take in EDS page
+ * paths (`/overview/trainingId/{id}/trainingInstanceId/{instanceId}`).
+ *
+ * ALM ids look like `course:12495374_13216648`, the path segment is `12495374-13216648`. Ids
+ * that are already in the target form, or that neither form matches, are returned unchanged.
+ */
+
+/**
+ * Converts an ALM instance id ("course:12495374_13216648") to its EDS path segment
+ * ("12495374-13216648")
+ */
+function toEdsInstanceId(almInstanceId) {
+  if (almInstanceId && almInstanceId.includes(':') && almInstanceId.includes('_')) {
+    return almInstanceId.split(':')[1].replace('_', '-');
+  }
+  return almInstanceId;
+}
+
+/**
+ * Converts an EDS path segment ("12495374-13216648") to the ALM id of an instance of the given
+ * learning object ("course:12495374_13216648")
+ */
+function toAlmInstanceId(loId, edsInstanceId) {
+  if (!edsInstanceId || edsInstanceId.includes(':') || !loId || !loId.includes(':')) {
+    return edsInstanceId;
+  }
+  return `${loId.split(':')[0]}:${edsInstanceId.replace('-', '_')}`;
+}
+
+module.exports = {
+  toEdsInstanceId,
+  toAlmInstanceId,
+};
@@ -0,0 +1,175 @@
+/*
+* <license header>
+*/
+
+/**
+ * Authentication of ALM webhook requests.
+ *
+ * A request is accepted when it carries either
+ * - an HMAC-SHA256 signature of `<timestamp>.<raw body>` keyed with ALM_WEBHOOK_SECRET
+ *   (signature header, hex, optionally prefixed `sha256=`, plus a timestamp header), or
+ * - the shared secret itself in the secret header.
+ * Header names default to `x-alm-signature`, `x-alm-timestamp` and `x-alm-webhook-secret` and
+ * can be changed with ALM_WEBHOOK_SIGNATURE_HEADER, ALM_WEBHOOK_TIMESTAMP_HEADER and
+ * ALM_WEBHOOK_SECRET_HEADER. Signatures are computed over `__ow_body`, so the receiving action
+ * must be deployed as a `raw-http` web action.
+ *
+ * The request timestamp (timestamp header, else the newest event timestamp) must be within
+ * ALM_WEBHOOK_TOLERANCE_SECONDS (default 300) of now, and event IDs are remembered in
+ * aio-lib-state for ALM_WEBHOOK_REPLAY_TTL_SECONDS (default one day) so a replayed event is
+ * skipped. Replay protection is best-effort: aio-lib-state has no atomic insert, so two
+ * deliveries of the same event that arrive at the same moment may both be processed (publishing
+ * a page twice is harmless). Without ALM_WEBHOOK_SECRET every webhook request is rejected.
+ */
+
+/* eslint-disable no-underscore-dangle -- OpenWhisk request fields */
+
+const crypto = require('crypto');
+const { init: initState } = require('@adobe/aio-lib-state');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const DEFAULT_REPLAY_TTL_SECONDS = 24 * 60 * 60;
+
+function getHeader(params, name) {
+  const headers = params.__ow_headers || {};
+  return headers[name.toLowerCase()];
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Parses a timestamp given in seconds, milliseconds or as a date string; returns ms or NaN.
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  const numeric = Number(value);
+  if (!Number.isNaN(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Checks the shared secret header alone, for operational requests that carry no webhook payload.
+ *
+ * @param {object} params action input parameters.
+ * @returns {boolean}
+ */
+function verifySharedSecret(params) {
+  const secret = params.ALM_WEBHOOK_SECRET;
+  const sharedSecret = getHeader(params, params.ALM_WEBHOOK_SECRET_HEADER || 'x-alm-webhook-secret');
+  return Boolean(secret && sharedSecret && safeEqual(sharedSecret, secret));
+}
+
+function getRawBody(params, webhookData) {
+  if (typeof params.__ow_body === 'string') return params.__ow_body;
+  return JSON.stringify(webhookData);
+}
+
+/**
+ * Verifies that a webhook request comes from ALM.
+ *
+ * @param {object} params action input parameters.
+ * @param {object} webhookData the parsed webhook payload (`{ events: [...] }`).
+ * @param {object} logger
+ * @returns {{ ok: boolean, message?: string }}
+ */
+function verifyWebhookRequest(params, webhookData, logger) {
+  const secret = params.ALM_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.error('ALM_WEBHOOK_SECRET is not configured, rejecting webhook request');
+    return { ok: false, message: 'webhook authentication is not configured' };
+  }
+
+  const signature = getHeader(params, params.ALM_WEBHOOK_SIGNATURE_HEADER || 'x-alm-signature');
+  const timestampHeader = getHeader(params, params.ALM_WEBHOOK_TIMESTAMP_HEADER || 'x-alm-timestamp');
+
+  if (signature) {
+    if (!timestampHeader) {
+      return { ok: false, message: 'missing webhook timestamp' };
+    }
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestampHeader}.${getRawBody(params, webhookData)}`)
+      .digest('hex');
+    if (!safeEqual(signature.replace(/^sha256=/, ''), expected)) {
+      return { ok: false, message: 'invalid webhook signature' };
+    }
+  } else if (!verifySharedSecret(params)) {
+    return { ok: false, message: 'missing or invalid webhook credentials' };
+  }
+
+  const eventTimes = (webhookData.events || []).map((event) => parseTimestamp(event.timestamp));
+  const timestamp = timestampHeader
+    ? parseTimestamp(timestampHeader)
+    : Math.max(...eventTimes.filter((time) => !Number.isNaN(time)));
+  const tolerance = Number(params.ALM_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > tolerance * 1000) {
+    return { ok: false, message: 'webhook timestamp outside the accepted window' };
+  }
+
+  return { ok: true };
+}
+
+function replayKey(eventId) {
+  return `webhook-event-${String(eventId).replace(/[^a-zA-Z0-9-_.]/g, '_')}`;
+}
+
+/**
+ * Records the events' IDs and returns the IDs that were already seen (replays).
+ * Events without an ID cannot be tracked and are never reported as replays.
+ *
+ * Each claim is written with a value of its own and read back, so of two concurrent deliveries
+ * the one whose claim was overwritten backs off. This narrows the race but doesn't close it
+ * (both may read back before either writes), see the module comment.
+ *
+ * @param {object[]} events webhook events
+ * @param {object} params action input parameters.
+ * @returns {Promise<Set<string>>}
+ */
+async function claimWebhookEvents(events, params) {
+  const state = await initState();
+  const ttl = Number(params.ALM_WEBHOOK_REPLAY_TTL_SECONDS) || DEFAULT_REPLAY_TTL_SECONDS;
+  const replayed = new Set();
+
+  await Promise.all(events
+    .filter((event) => event.eventId)
+    .map(async (event) => {
+      const key = replayKey(event.eventId);
+      if (await state.get(key)) {
+        replayed.add(event.eventId);
+        return;
+      }
+      const claim = `${new Date().toISOString()} ${crypto.randomUUID()}`;
+      await state.put(key, claim, { ttl });
+      const stored = await state.get(key);
+      if (stored && stored.value !== claim) {
+        replayed.add(event.eventId);
+      }
+    }));
+
+  return replayed;
+}
+
+/**
+ * Forgets event IDs again, so ALM may redeliver events that failed to process.
+ *
+ * @param {string[]} eventIds
+ */
+async function releaseWebhookEvents(eventIds) {
+  if (!eventIds.length) return;
+  const state = await initState();
+  await Promise.all(eventIds.map((eventId) => state.delete(replayKey(eventId))));
+}
+
+module.exports = {
+  claimWebhookEvents,
+  parseTimestamp,
+  releaseWebhookEvents,
+  verifySharedSecret,
+  verifyWebhookRequest,
+};
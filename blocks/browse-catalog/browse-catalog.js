@@ -1,88 +1,405 @@
-// API Configuration
-const API_CONFIG = {
-  baseUrl: 'https://learningmanager.adobe.com/primeapi/v2',
-  headers: {
-    'Accept': 'application/vnd.api+json',
-    'Authorization': `oauth ${sessionStorage.getItem('alm_access_token')}`
+import { readBlockConfig } from '../../scripts/aem.js';
+import { almFetch, findIncluded, getNextCursor } from '../../scripts/alm-api.js';
+import { getSession, onSessionChange } from '../../scripts/alm-auth.js';
+
+const ALL_LO_TYPES = ['course', 'learningProgram', 'certification', 'jobAid'];
+
+// Facets listing more options than this show the first ones only
+const MAX_FACET_OPTIONS = 10;
+// Count requests sent at a time while facet counts load
+const FACET_COUNT_CONCURRENCY = 4;
+// Counts reload this long after the last filter change, so quick successive changes count once
+const FACET_COUNT_DELAY_MS = 400;
+// Results per page unless the block table sets a `Page Size`; ALM returns at most 50
+const DEFAULT_PAGE_SIZE = 9;
+const MAX_PAGE_SIZE = 50;
+
+// Cards by the duration of their learning object, shortest first; unknown durations go last
+function compareCardDurations(a, b) {
+  const duration = (card) => Number(card.dataset.duration) || Number.MAX_SAFE_INTEGER;
+  return duration(a) - duration(b);
+}
+
+/**
+ * Sort orders the learner can pick and their ALM `sort` value. Relevance is only offered while
+ * a search term is entered, and due date (of the learner's enrollments) only with a session and
+ * without one, as the search API doesn't sort by it. ALM has no duration order, so duration
+ * loads in the default order and `compare` sorts the cards loaded so far.
+ */
+const SORT_OPTIONS = [
+  {
+    value: 'relevance', label: 'Relevance', sort: 'relevance', searchOnly: true,
+  },
+  { value: 'name', label: 'Name', sort: 'name' },
+  { value: 'published', label: 'Date published', sort: '-date' },
+  { value: 'rating', label: 'Rating', sort: '-rating' },
+  // ALM has no enrollment count order; its effectiveness score stands in for popularity
+  { value: 'popularity', label: 'Popularity', sort: '-effectiveness' },
+  { value: 'duration', label: 'Duration', compare: compareCardDurations },
+  {
+    value: 'dueDate', label: 'Due date', sort: 'dueDate', requiresSession: true, listOnly: true,
+  },
+];
+
+const VIEW_MODES = [
+  { value: 'grid', label: 'Grid' },
+  { value: 'list', label: 'List' },
+  { value: 'compact', label: 'Compact' },
+];
+// localStorage key prefix of the view mode, followed by the learner's user id
+const VIEW_STORAGE_KEY = 'browse-catalog-view';
+
+/**
+ * Sidebar facets. The checked options of a facet are sent comma-joined as its ALM `filter.*`
+ * parameter and kept in the page URL as repeated `urlParam`s; `single` facets are radio
+ * groups. Options are static, or loaded by `loadOptions`.
+ */
+const FACETS = [
+  {
+    key: 'loTypes',
+    urlParam: 'type',
+    title: 'Type',
+    param: 'filter.loTypes',
+    open: true,
+    options: [
+      { value: 'course', label: 'Courses' },
+      { value: 'learningProgram', label: 'Learning Paths' },
+      { value: 'jobAid', label: 'Job aids' },
+      { value: 'certification', label: 'Certifications' },
+    ],
+  },
+  {
+    key: 'loFormats',
+    urlParam: 'format',
+    title: 'Delivery format',
+    param: 'filter.loFormat',
+    open: true,
+    options: [
+      { value: 'Self Paced', label: 'Self-paced' },
+      { value: 'Classroom', label: 'Classroom' },
+      { value: 'Virtual Classroom', label: 'Virtual classroom' },
+      { value: 'Blended', label: 'Blended' },
+    ],
+  },
+  {
+    key: 'duration',
+    urlParam: 'duration',
+    title: 'Duration',
+    param: 'filter.duration.range',
+    single: true,
+    options: [
+      { value: '0-1800', label: 'Under 30 minutes' },
+      { value: '1800-3600', label: '30 minutes to 1 hour' },
+      { value: '3600-14400', label: '1 to 4 hours' },
+      { value: '14400-', label: 'More than 4 hours' },
+    ],
+  },
+  {
+    key: 'skillNames',
+    urlParam: 'skill',
+    title: 'Skills',
+    param: 'filter.skillName',
+    loadOptions: async () => {
+      const response = await almFetch('/skills', { query: { 'page[limit]': MAX_FACET_OPTIONS } });
+      return (response.data || []).map((skill) => ({
+        value: skill.attributes.name,
+        label: skill.attributes.name,
+      }));
+    },
+  },
+  {
+    key: 'skillLevels',
+    urlParam: 'level',
+    title: 'Skill level',
+    param: 'filter.skillLevel',
+    options: [
+      { value: '1', label: 'Beginner' },
+      { value: '2', label: 'Intermediate' },
+      { value: '3', label: 'Advanced' },
+    ],
+  },
+  {
+    key: 'catalogIds',
+    urlParam: 'catalog',
+    title: 'Catalogs',
+    param: 'filter.catalogIds',
+    loadOptions: async () => {
+      const response = await almFetch('/catalogs', { query: { 'page[limit]': MAX_FACET_OPTIONS } });
+      return (response.data || []).map((catalog) => ({
+        value: catalog.id,
+        label: catalog.attributes.name,
+      }));
+    },
+  },
+  {
+    key: 'tagNames',
+    urlParam: 'tag',
+    title: 'Tags',
+    param: 'filter.tagName',
+    // ALM has no tag list for learners; the tags of the unfiltered catalog's first page are offered
+    loadOptions: async () => {
+      const response = await almFetch('/learningObjects', {
+        query: {
+          'filter.loTypes': ALL_LO_TYPES.join(','),
+          'filter.ignoreEnhancedLP': 'true',
+          'page[limit]': 50,
+        },
+      });
+      const counts = new Map();
+      (response.data || []).forEach((item) => (item.attributes.tags || []).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }));
+      return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FACET_OPTIONS)
+        .map(([tag]) => ({ value: tag, label: tag }));
+    },
+  },
+  {
+    key: 'learnerStates',
+    urlParam: 'status',
+    title: 'Enrollment status',
+    param: 'filter.learnerState',
+    requiresSession: true,
+    options: [
+      { value: 'notenrolled', label: 'Not enrolled' },
+      { value: 'enrolled', label: 'Enrolled' },
+      { value: 'started', label: 'In progress' },
+      { value: 'completed', label: 'Completed' },
+    ],
+  },
+];
+
+// Date range of the last update, sent as `filter.lastUpdated.fromDate` / `toDate`
+const DATE_FILTERS = [
+  {
+    key: 'updatedFrom', urlParam: 'updatedFrom', label: 'From', param: 'filter.lastUpdated.fromDate',
+  },
+  {
+    key: 'updatedTo', urlParam: 'updatedTo', label: 'To', param: 'filter.lastUpdated.toDate',
+  },
+];
+
+/**
+ * Filters with nothing selected: every facet empty, no date range, no search term and the
+ * default sort order.
+ * @returns {object}
+ */
+function createEmptyFilters() {
+  const filters = { searchTerm: '', sort: '' };
+  FACETS.forEach((facet) => { filters[facet.key] = []; });
+  DATE_FILTERS.forEach((dateFilter) => { filters[dateFilter.key] = ''; });
+  return filters;
+}
+
+function hasActiveFilters(filters) {
+  return FACETS.some((facet) => filters[facet.key].length > 0)
+    || DATE_FILTERS.some((dateFilter) => filters[dateFilter.key]);
+}
+
+// Sort orders that apply to the filters: relevance needs a search term, due date a session and
+// no search term
+function getAvailableSortOptions(filters) {
+  const searching = !!(filters.searchTerm || '').trim();
+  return SORT_OPTIONS.filter((option) => (searching ? !option.listOnly : !option.searchOnly)
+    && (!option.requiresSession || getSession()));
+}
+
+/**
+ * The sort order in effect: the one picked if it applies, else relevance while searching and
+ * name otherwise.
+ * @param {object} filters
+ * @returns {object} one of SORT_OPTIONS
+ */
+function getSortOption(filters) {
+  const searching = !!(filters.searchTerm || '').trim();
+  const available = getAvailableSortOptions(filters);
+  return available.find((option) => option.value === filters.sort)
+    || available.find((option) => option.value === (searching ? 'relevance' : 'name'));
+}
+
+// The ALM `sort` value to request: the default order for sort orders applied to the cards
+function getRequestSort(filters) {
+  const option = getSortOption(filters);
+  return option.compare ? getSortOption({ ...filters, sort: '' }).sort : option.sort;
+}
+
+// The view mode is remembered per learner; signed-out visitors share one
+function getViewStorageKey() {
+  const session = getSession();
+  return `${VIEW_STORAGE_KEY}:${session ? session.userId : 'anonymous'}`;
+}
+
+function getStoredViewMode() {
+  try {
+    const mode = localStorage.getItem(getViewStorageKey());
+    return VIEW_MODES.some((viewMode) => viewMode.value === mode) ? mode : VIEW_MODES[0].value;
+  } catch (error) {
+    return VIEW_MODES[0].value;
   }
-};
+}
 
-// Search API function
-async function searchLearningObjects(searchTerm, limit = 9, cursor = null) {
+function storeViewMode(mode) {
   try {
-    const params = new URLSearchParams({
-      'filter.loTypes': 'course,learningProgram,certification,jobAid',
-      'sort': 'relevance',
-      'page[limit]': limit,
-      'include': 'model.instances.loResources.resources,model.instances.badge,model.supplementaryResources,model.enrollment.loResourceGrades,model.skills.skillLevel.skill',
-      'filter.ignoreEnhancedLP': 'false',
-      'enforcedFields[learningObject]': 'extensionOverrides',
-      'query': searchTerm,
-      'snippetType': 'courseName,courseOverview,courseDescription,moduleName,certificationName,certificationOverview,certificationDescription,jobAidName,jobAidDescription,lpName,lpDescription,lpOverview,embedLpName,embedLpDesc,embedLpOverview,skillName,skillDescription,note,badgeName,courseTag,moduleTag,jobAidTag,lpTag,certificationTag,embedLpTag,discussion',
-      'language': 'en-US'
-    });
+    localStorage.setItem(getViewStorageKey(), mode);
+  } catch (error) {
+    // storage is unavailable (e.g. blocked cookies): the mode only lasts for this page
+  }
+}
 
-    if (cursor) {
-      params.append('page[cursor]', cursor);
-    }
+/**
+ * Results per page from the block table's `Page Size` row.
+ * @param {object} config result of readBlockConfig
+ * @returns {number}
+ */
+function getPageSize(config) {
+  const size = Number.parseInt(config['page-size'], 10);
+  return size > 0 ? Math.min(size, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+}
 
-    const url = `${API_CONFIG.baseUrl}/search?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: API_CONFIG.headers
-    });
+// Page URL parameters of the search term, the sort order and the number of pages loaded
+const SEARCH_PARAM = 'q';
+const SORT_PARAM = 'sort';
+const PAGES_PARAM = 'pages';
+// A shared link loads at most this many pages
+const MAX_RESTORED_PAGES = 10;
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+/**
+ * Writes the filters and the number of loaded pages into the page's query parameters, next to
+ * the parameters the catalog doesn't own.
+ * @param {object} filters
+ * @param {number} pages
+ * @returns {string} the page URL
+ */
+function filtersToUrl(filters, pages) {
+  const url = new URL(window.location.href);
+  const ownParams = [SEARCH_PARAM, SORT_PARAM, PAGES_PARAM,
+    ...FACETS.map((facet) => facet.urlParam),
+    ...DATE_FILTERS.map((dateFilter) => dateFilter.urlParam)];
+  ownParams.forEach((param) => url.searchParams.delete(param));
 
-    const data = await response.json();
-    return data;
+  if (filters.searchTerm.trim()) url.searchParams.set(SEARCH_PARAM, filters.searchTerm.trim());
+  if (filters.sort) url.searchParams.set(SORT_PARAM, filters.sort);
+  FACETS.forEach((facet) => {
+    filters[facet.key].forEach((value) => url.searchParams.append(facet.urlParam, value));
+  });
+  DATE_FILTERS.forEach((dateFilter) => {
+    if (filters[dateFilter.key]) url.searchParams.set(dateFilter.urlParam, filters[dateFilter.key]);
+  });
+  if (pages > 1) url.searchParams.set(PAGES_PARAM, pages);
+  return url.toString();
+}
+
+/**
+ * Reads the filters and the number of pages to load from the page's query parameters;
+ * unknown options and malformed dates are dropped.
+ * @param {URLSearchParams} searchParams
+ * @returns {{filters: object, pages: number}}
+ */
+function filtersFromUrl(searchParams) {
+  const filters = createEmptyFilters();
+  filters.searchTerm = searchParams.get(SEARCH_PARAM) || '';
+  const sort = searchParams.get(SORT_PARAM);
+  filters.sort = SORT_OPTIONS.some((option) => option.value === sort) ? sort : '';
+  FACETS.forEach((facet) => {
+    const values = [...new Set(searchParams.getAll(facet.urlParam).filter(Boolean))]
+      .filter((value) => !facet.options || facet.options.some((option) => option.value === value));
+    filters[facet.key] = facet.single ? values.slice(0, 1) : values;
+  });
+  DATE_FILTERS.forEach((dateFilter) => {
+    const date = searchParams.get(dateFilter.urlParam) || '';
+    filters[dateFilter.key] = /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : '';
+  });
+  const pages = Math.min(
+    Math.max(1, Number.parseInt(searchParams.get(PAGES_PARAM), 10) || 1),
+    MAX_RESTORED_PAGES,
+  );
+  return { filters, pages };
+}
+
+/**
+ * Maps the filters to ALM `filter.*` query parameters. Without a type selected, all types are
+ * listed; the learner's enrollment status is only sent with a session.
+ * @param {object} filters
+ * @returns {object}
+ */
+function buildFilterQuery(filters) {
+  const query = { 'filter.loTypes': ALL_LO_TYPES.join(',') };
+  FACETS.forEach((facet) => {
+    const values = filters[facet.key] || [];
+    if (values.length === 0 || (facet.requiresSession && !getSession())) return;
+    query[facet.param] = values.join(',');
+  });
+  DATE_FILTERS.forEach((dateFilter) => {
+    const date = filters[dateFilter.key];
+    if (!date) return;
+    // the whole day counts: from its start, or to its end
+    const time = dateFilter.key === 'updatedTo' ? 'T23:59:59.999Z' : 'T00:00:00.000Z';
+    query[dateFilter.param] = `${date}${time}`;
+  });
+  return query;
+}
+
+// Query of the search API
+function buildSearchQuery(searchTerm, limit = 9, cursor = null, filters = {}) {
+  const params = new URLSearchParams({
+    ...buildFilterQuery(filters),
+    sort: getRequestSort({ ...filters, searchTerm }),
+    'page[limit]': limit,
+    include: 'model.instances.loResources.resources,model.instances.badge,model.supplementaryResources,model.enrollment.loResourceGrades,model.skills.skillLevel.skill',
+    'filter.ignoreEnhancedLP': 'false',
+    'enforcedFields[learningObject]': 'extensionOverrides',
+    query: searchTerm,
+    snippetType: 'courseName,courseOverview,courseDescription,moduleName,certificationName,certificationOverview,certificationDescription,jobAidName,jobAidDescription,lpName,lpDescription,lpOverview,embedLpName,embedLpDesc,embedLpOverview,skillName,skillDescription,note,badgeName,courseTag,moduleTag,jobAidTag,lpTag,certificationTag,embedLpTag,discussion',
+    language: 'en-US',
+  });
+
+  if (cursor) {
+    params.append('page[cursor]', cursor);
+  }
+
+  return Object.fromEntries(params);
+}
+
+// Search API function
+async function searchLearningObjects(searchTerm, limit = 9, cursor = null, filters = {}) {
+  try {
+    const query = buildSearchQuery(searchTerm, limit, cursor, filters);
+    return await almFetch('/search', { query });
   } catch (error) {
     console.error('Error searching learning objects:', error);
     return { data: [], meta: { count: 0 }, links: {} };
   }
 }
 
-// Fetch learning objects from API
-async function fetchLearningObjects(limit = 9, searchTerm = '', filters = {}, cursor = null) {
-  try {
-    const params = new URLSearchParams({
-      'include': 'instances.enrollment.loResourceGrades,enrollment.loInstance.loResources.resources,subLOs.prerequisiteLOs,subLOs.subLOs.prerequisiteLOs,authors,subLOs.enrollment.loResourceGrades, subLOs.subLOs.enrollment.loResourceGrades, subLOs.subLOs.instances.loResources.resources, subLOs.instances.loResources.resources,instances.loResources.resources,supplementaryLOs.instances.loResources.resources,supplementaryResources,subLOs.supplementaryResources,subLOs.enrollment,instances.loResources.resources.room,subLOs.enrollment.loInstance.loResources.resources,prerequisiteLOs.enrollment,skills',
-      'page[limit]': limit,
-      'sort': 'name',
-      'filter.ignoreEnhancedLP': 'true'
-    });
-
-    // Add cursor for pagination if provided
-    if (cursor) {
-      params.append('page[cursor]', cursor);
-    }
-
-    // Add search filter if provided
-    if (searchTerm) {
-      params.append('filter.search', searchTerm);
-    }
+// Query of the learning objects API
+function buildLearningObjectsQuery(limit = 9, searchTerm = '', filters = {}, cursor = null) {
+  const params = new URLSearchParams({
+    ...buildFilterQuery(filters),
+    include: 'instances.enrollment.loResourceGrades,enrollment.loInstance.loResources.resources,subLOs.prerequisiteLOs,subLOs.subLOs.prerequisiteLOs,authors,subLOs.enrollment.loResourceGrades, subLOs.subLOs.enrollment.loResourceGrades, subLOs.subLOs.instances.loResources.resources, subLOs.instances.loResources.resources,instances.loResources.resources,supplementaryLOs.instances.loResources.resources,supplementaryResources,subLOs.supplementaryResources,subLOs.enrollment,instances.loResources.resources.room,subLOs.enrollment.loInstance.loResources.resources,prerequisiteLOs.enrollment,skills',
+    'page[limit]': limit,
+    sort: getRequestSort(filters),
+    'filter.ignoreEnhancedLP': 'true',
+  });
 
-    // Add type filters if provided
-    if (filters.loTypes && filters.loTypes.length > 0) {
-      params.append('filter.loTypes', filters.loTypes.join(','));
-    }
+  // Add cursor for pagination if provided
+  if (cursor) {
+    params.append('page[cursor]', cursor);
+  }
 
-    const url = `${API_CONFIG.baseUrl}/learningObjects?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: API_CONFIG.headers
-    });
+  // Add search filter if provided
+  if (searchTerm) {
+    params.append('filter.search', searchTerm);
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+  return Object.fromEntries(params);
+}
 
-    const data = await response.json();
-    return data;
+// Fetch learning objects from API
+async function fetchLearningObjects(limit = 9, searchTerm = '', filters = {}, cursor = null) {
+  try {
+    const query = buildLearningObjectsQuery(limit, searchTerm, filters, cursor);
+    return await almFetch('/learningObjects', { query });
   } catch (error) {
     console.error('Error fetching learning objects:', error);
     // Return fallback data in case of error
@@ -90,21 +407,54 @@ async function fetchLearningObjects(limit = 9, searchTerm = '', filters = {}, cu
   }
 }
 
-// Fetch skill details from API
-async function fetchSkillDetails(skillId) {
-  try {
-    const url = `${API_CONFIG.baseUrl}/skills/${skillId}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: API_CONFIG.headers
-    });
+// One page of the catalog: search results with a search term, learning objects otherwise
+function fetchCatalogPage(filters, limit = 9, cursor = null) {
+  const searchTerm = filters.searchTerm.trim();
+  return searchTerm
+    ? searchLearningObjects(searchTerm, limit, cursor, filters)
+    : fetchLearningObjects(limit, '', filters, cursor);
+}
+
+// Path and query of one catalog page, as fetchCatalogPage requests it
+function buildCatalogRequest(filters, limit = 9, cursor = null) {
+  const searchTerm = filters.searchTerm.trim();
+  return searchTerm
+    ? { path: '/search', query: buildSearchQuery(searchTerm, limit, cursor, filters) }
+    : { path: '/learningObjects', query: buildLearningObjectsQuery(limit, '', filters, cursor) };
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+/**
+ * Number of results if a facet option was picked together with the other facets' selection,
+ * or null when ALM doesn't report a count.
+ * @param {object} filters current filters
+ * @param {object} facet
+ * @param {string} value option value
+ * @returns {Promise<number|null>}
+ */
+async function fetchFacetCount(filters, facet, value) {
+  // the listing's own request with one result, so the counts match the results shown
+  const { path, query } = buildCatalogRequest({ ...filters, [facet.key]: [value] }, 1);
+  const response = await almFetch(path, { query });
+  const count = response && response.meta && response.meta.count;
+  return Number.isFinite(count) ? count : null;
+}
+
+// Runs async tasks with at most `limit` of them pending at a time
+async function runLimited(tasks, limit) {
+  const queue = [...tasks];
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      await queue.shift()();
     }
+  });
+  await Promise.all(workers);
+}
 
-    const data = await response.json();
+// Fetch skill details from API
+async function fetchSkillDetails(skillId) {
+  try {
+    const data = await almFetch(`/skills/${skillId}`);
     return data.data;
   } catch (error) {
     console.error('Error fetching skill details:', error);
@@ -202,9 +552,7 @@ async function createCourseCard(item, includedData = []) {
   if (item.type === 'searchResult' && item.relationships?.model?.data) {
     // Find the actual learning object in the included data
     const modelId = item.relationships.model.data.id;
-    const actualLearningObject = includedData.find(included => 
-      included.id === modelId && included.type === 'learningObject'
-    );
+    const actualLearningObject = findIncluded({ included: includedData }, modelId, 'learningObject');
     
     if (actualLearningObject) {
       attributes = actualLearningObject.attributes;
@@ -229,6 +577,7 @@ async function createCourseCard(item, includedData = []) {
   const card = document.createElement('div');
   card.className = 'course-card';
   card.dataset.courseId = item.id;
+  card.dataset.duration = attributes.duration || '';
   
   // Check if course has an image
   const hasImage = attributes.imageUrl && attributes.imageUrl.trim() !== '';
@@ -287,58 +636,97 @@ function createSidebar() {
   sidebar.className = 'catalog-sidebar';
   
   sidebar.innerHTML = `
-    <div class="sidebar-section">
-      <h3>Catalogs</h3>
-      <div class="filter-group">
-        <div class="filter-item">
-          <input type="checkbox" id="lsk-consulting" checked>
-          <label for="lsk-consulting">LSK Consulting</label>
-        </div>
-        <div class="filter-item">
-          <input type="checkbox" id="learning-support">
-          <label for="learning-support">Learning Support</label>
-        </div>
-        <div class="filter-item">
-          <input type="checkbox" id="alm-enablement">
-          <label for="alm-enablement">ALM Enablement</label>
-        </div>
-        <div class="filter-item">
-          <input type="checkbox" id="cio-tpt">
-          <label for="cio-tpt">CIO TPT</label>
-        </div>
-        <div class="filter-item">
-          <input type="checkbox" id="ciso-cyber">
-          <label for="ciso-cyber">CISO Cyber Defense</label>
-        </div>
-      </div>
+    <div class="sidebar-header">
+      <h3>Filters</h3>
+      <button type="button" class="clear-filters" disabled>Clear all</button>
     </div>
-    
-    <div class="sidebar-section">
-      <h3>Type</h3>
-      <div class="filter-group">
-        <div class="filter-item">
-          <input type="checkbox" id="courses" checked>
-          <label for="courses">Courses</label>
-        </div>
-        <div class="filter-item">
-          <input type="checkbox" id="learning-paths">
-          <label for="learning-paths">Learning Paths</label>
-        </div>
-        <div class="filter-item">
-          <input type="checkbox" id="job-aids">
-          <label for="job-aids">Job aids</label>
-        </div>
-        <div class="filter-item">
-          <input type="checkbox" id="certifications">
-          <label for="certifications">Certifications</label>
+    ${FACETS.map((facet) => `
+      <details class="sidebar-section facet" data-facet="${facet.key}"${facet.open ? ' open' : ''}>
+        <summary><h3>${facet.title}</h3></summary>
+        <div class="filter-group" role="group" aria-label="${facet.title}">
+          <div class="filter-empty">Loading…</div>
         </div>
+      </details>
+    `).join('')}
+    <details class="sidebar-section facet" data-facet="lastUpdated">
+      <summary><h3>Last updated</h3></summary>
+      <div class="filter-group" role="group" aria-label="Last updated">
+        ${DATE_FILTERS.map((dateFilter) => `
+          <div class="filter-item filter-date">
+            <label for="filter-${dateFilter.key}">${dateFilter.label}</label>
+            <input type="date" id="filter-${dateFilter.key}" data-filter="${dateFilter.key}">
+          </div>
+        `).join('')}
       </div>
-    </div>
+    </details>
   `;
   
   return sidebar;
 }
 
+/**
+ * Renders the options of a facet as checkboxes (radio buttons for `single` facets, with an
+ * "Any" option) checked from the filters; counts are filled in by updateFacetCounts.
+ * @param {Element} section facet section
+ * @param {object} facet
+ * @param {{value: string, label: string}[]} options
+ * @param {object} filters
+ */
+function renderFacetOptions(section, facet, options, filters) {
+  const group = section.querySelector('.filter-group');
+  group.innerHTML = '';
+  if (options.length === 0) {
+    group.innerHTML = '<div class="filter-empty">No options available</div>';
+    return;
+  }
+
+  const allOptions = facet.single ? [{ value: '', label: 'Any' }, ...options] : options;
+  allOptions.forEach((option, index) => {
+    const id = `facet-${facet.key}-${index}`;
+    const item = document.createElement('div');
+    item.className = 'filter-item';
+    item.innerHTML = `
+      <input type="${facet.single ? 'radio' : 'checkbox'}" id="${id}" name="facet-${facet.key}">
+      <label for="${id}"><span class="filter-label"></span> <span class="filter-count"></span></label>
+    `;
+    const input = item.querySelector('input');
+    input.value = option.value;
+    input.dataset.facet = facet.key;
+    input.checked = option.value
+      ? filters[facet.key].includes(option.value)
+      : filters[facet.key].length === 0;
+    item.querySelector('.filter-label').textContent = option.label;
+    group.append(item);
+  });
+}
+
+/**
+ * Shows next to every option of a facet how many results picking it would give.
+ * @param {Element} section facet section
+ * @param {object} facet
+ * @param {object} filters
+ * @param {function} isCurrent returns false once the filters changed again
+ */
+async function updateFacetCounts(section, facet, filters, isCurrent) {
+  const inputs = Array.from(section.querySelectorAll('input[data-facet]'))
+    .filter((input) => input.value);
+
+  await runLimited(inputs.map((input) => async () => {
+    if (!isCurrent()) return;
+    let count = null;
+    try {
+      count = await fetchFacetCount(filters, facet, input.value);
+    } catch (error) {
+      console.error(`Error counting ${facet.key} ${input.value}:`, error);
+    }
+    if (!isCurrent()) return;
+
+    const item = input.closest('.filter-item');
+    item.querySelector('.filter-count').textContent = count === null ? '' : `(${count})`;
+    item.classList.toggle('filter-item-empty', count === 0 && !input.checked);
+  }), FACET_COUNT_CONCURRENCY);
+}
+
 function createHeader() {
   const header = document.createElement('div');
   header.className = 'catalog-header';
@@ -357,6 +745,35 @@ function createHeader() {
   return header;
 }
 
+// Sort order and view mode controls above the results
+function createToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'catalog-toolbar';
+  toolbar.innerHTML = `
+    <label class="catalog-sort">
+      <span>Sort by</span>
+      <select class="sort-select"></select>
+    </label>
+    <div class="view-modes" role="group" aria-label="View">
+      ${VIEW_MODES.map((mode) => `<button type="button" class="view-mode" data-view="${mode.value}" aria-pressed="false">${mode.label}</button>`).join('')}
+    </div>
+  `;
+  return toolbar;
+}
+
+// Lists the sort orders that apply to the filters and selects the one in effect
+function renderSortOptions(select, filters) {
+  const selected = getSortOption(filters);
+  select.innerHTML = '';
+  getAvailableSortOptions(filters).forEach((option) => {
+    const element = document.createElement('option');
+    element.value = option.value;
+    element.textContent = option.label;
+    element.selected = option === selected;
+    select.append(element);
+  });
+}
+
 function filterCourses(courses, searchTerm) {
   if (!searchTerm) return courses;
   
@@ -377,6 +794,9 @@ function filterCourses(courses, searchTerm) {
 }
 
 export default async function decorate(block) {
+  // Authored options are read before the block is cleared
+  const pageSize = getPageSize(readBlockConfig(block));
+
   // Clear the block
   block.innerHTML = '';
   
@@ -398,6 +818,9 @@ export default async function decorate(block) {
   const mainContent = document.createElement('div');
   mainContent.className = 'catalog-main';
   
+  const toolbar = createToolbar();
+  const sortSelect = toolbar.querySelector('.sort-select');
+
   // Create course grid
   const courseGrid = document.createElement('div');
   courseGrid.className = 'catalog-grid';
@@ -411,10 +834,14 @@ export default async function decorate(block) {
   let nextCursor = null;
   let hasMoreData = false;
   let isLoading = false;
-  let currentFilters = {
-    searchTerm: '',
-    loTypes: ['course', 'learningProgram', 'certification', 'jobAid']
-  };
+  let pagesLoaded = 0;
+  // the view is restored from the page URL, so filtered views can be bookmarked and shared
+  const restored = filtersFromUrl(new URLSearchParams(window.location.search));
+  let currentFilters = restored.filters;
+  let loadGeneration = 0;
+  let countsGeneration = 0;
+  let countsTimeout;
+  const facetOptions = new Map();
   
   async function renderCourses(courses, append = false, includedData = []) {
     if (!append) {
@@ -433,6 +860,14 @@ export default async function decorate(block) {
     cards.forEach(card => {
       courseGrid.appendChild(card);
     });
+
+    // sort orders ALM doesn't offer put every loaded card in order
+    const { compare } = getSortOption(currentFilters);
+    if (compare) {
+      Array.from(courseGrid.querySelectorAll('.course-card'))
+        .sort(compare)
+        .forEach((card) => courseGrid.append(card));
+    }
   }
   
   function showError(message) {
@@ -454,34 +889,32 @@ export default async function decorate(block) {
   }
   
   async function loadCourses(resetData = true) {
+    // a newer load (another filter change) makes this one stale
+    loadGeneration += 1;
+    const generation = loadGeneration;
     try {
       isLoading = true;
       updateLoadMoreButton();
       
       const cursor = resetData ? null : nextCursor;
-      const data = await fetchLearningObjects(9, currentFilters.searchTerm, {
-        loTypes: getActiveTypeFilters()
-      }, cursor);
+      const data = await fetchCatalogPage(currentFilters, pageSize, cursor);
+      if (generation !== loadGeneration) return;
       
       const newCourses = data.data || [];
       
       if (resetData) {
         allCourses = newCourses;
-        renderCourses(allCourses, false);
+        pagesLoaded = 1;
+        await renderCourses(allCourses, false, data.included || []);
       } else {
         allCourses = [...allCourses, ...newCourses];
-        renderCourses(newCourses, true);
+        pagesLoaded += 1;
+        await renderCourses(newCourses, true, data.included || []);
       }
       
       // Extract cursor from next link if available
-      nextCursor = null;
-      hasMoreData = false;
-      
-      if (data.links && data.links.next) {
-        const nextUrl = new URL(data.links.next);
-        nextCursor = nextUrl.searchParams.get('page[cursor]');
-        hasMoreData = true;
-      }
+      nextCursor = getNextCursor(data);
+      hasMoreData = !!nextCursor;
       
       // Update course count if available
       if (data.meta && data.meta.count) {
@@ -501,44 +934,130 @@ export default async function decorate(block) {
     }
   }
   
+  // Record the view in the page URL: filter changes add a history entry, "Load More" replaces it
+  function updateUrl(pages, push) {
+    const url = filtersToUrl(currentFilters, pages);
+    if (url === window.location.href) return;
+    if (push) {
+      window.history.pushState({ browseCatalog: true }, '', url);
+    } else {
+      window.history.replaceState({ browseCatalog: true }, '', url);
+    }
+  }
+
   async function loadMoreCourses() {
     if (!hasMoreData || isLoading) return;
     await loadCourses(false);
+    updateUrl(pagesLoaded, false);
+  }
+
+  // Load the first `pages` pages, stopping when the filters change in between
+  async function loadPages(pages) {
+    const filters = currentFilters;
+    await loadCourses(true);
+    while (pagesLoaded < pages && hasMoreData && currentFilters === filters) {
+      // eslint-disable-next-line no-await-in-loop
+      await loadCourses(false);
+    }
   }
   
-  function getActiveTypeFilters() {
-    const typeCheckboxes = sidebar.querySelectorAll('#courses, #learning-paths, #job-aids, #certifications');
-    const activeTypes = [];
-    
-    typeCheckboxes.forEach(checkbox => {
-      if (checkbox.checked) {
-        switch (checkbox.id) {
-          case 'courses':
-            activeTypes.push('course');
-            break;
-          case 'learning-paths':
-            activeTypes.push('learningProgram');
-            break;
-          case 'job-aids':
-            activeTypes.push('jobAid');
-            break;
-          case 'certifications':
-            activeTypes.push('certification');
-            break;
+  // Facets only needing a session (enrollment status) are hidden when signed out
+  function updateFacetVisibility() {
+    FACETS.filter((facet) => facet.requiresSession).forEach((facet) => {
+      sidebar.querySelector(`[data-facet="${facet.key}"]`).hidden = !getSession();
+    });
+  }
+  
+  function updateOpenFacetCounts(onlyFacet) {
+    const generation = countsGeneration;
+    const filters = currentFilters;
+    FACETS.forEach((facet) => {
+      const section = sidebar.querySelector(`[data-facet="${facet.key}"]`);
+      if (!section.open || section.hidden || !facetOptions.has(facet.key)) return;
+      if (onlyFacet && onlyFacet !== facet) return;
+      updateFacetCounts(section, facet, filters, () => generation === countsGeneration);
+    });
+  }
+
+  // After a filter change the stale counts stop loading right away and the open facets are
+  // counted again once the filters settle; a single facet (just opened or loaded) counts now
+  function refreshFacetCounts(onlyFacet) {
+    if (onlyFacet) {
+      updateOpenFacetCounts(onlyFacet);
+      return;
+    }
+    countsGeneration += 1;
+    clearTimeout(countsTimeout);
+    countsTimeout = setTimeout(() => updateOpenFacetCounts(), FACET_COUNT_DELAY_MS);
+  }
+  
+  // Check the sidebar inputs from the current filters; selected values a loaded facet doesn't
+  // offer (e.g. a skill beyond the first ones, from a shared link) are added to it
+  function syncSidebar() {
+    FACETS.filter((facet) => facetOptions.has(facet.key)).forEach((facet) => {
+      const options = facetOptions.get(facet.key);
+      const missing = currentFilters[facet.key]
+        .filter((value) => !options.some((option) => option.value === value));
+      if (missing.length === 0) return;
+      const extended = [...options, ...missing.map((value) => ({ value, label: value }))];
+      facetOptions.set(facet.key, extended);
+      renderFacetOptions(sidebar.querySelector(`[data-facet="${facet.key}"]`), facet, extended, currentFilters);
+    });
+    sidebar.querySelectorAll('input[data-facet]').forEach((input) => {
+      const values = currentFilters[input.dataset.facet];
+      input.checked = input.value ? values.includes(input.value) : values.length === 0;
+    });
+    sidebar.querySelectorAll('input[data-filter]').forEach((input) => {
+      input.value = currentFilters[input.dataset.filter];
+    });
+    sidebar.querySelector('.clear-filters').disabled = !hasActiveFilters(currentFilters);
+  }
+  
+  function applyViewMode(mode) {
+    courseGrid.dataset.view = mode;
+    toolbar.querySelectorAll('.view-mode').forEach((button) => {
+      button.setAttribute('aria-pressed', String(button.dataset.view === mode));
+    });
+  }
+
+  async function applyFilters() {
+    updateUrl(1, true);
+    renderSortOptions(sortSelect, currentFilters);
+    syncSidebar();
+    refreshFacetCounts();
+    await loadCourses(true);
+  }
+  
+  // Static options render right away; loaded ones (skills, catalogs, tags) as they arrive
+  async function loadFacetOptions() {
+    await Promise.all(FACETS.map(async (facet) => {
+      let options = facet.options || [];
+      if (facet.loadOptions) {
+        try {
+          options = await facet.loadOptions();
+        } catch (error) {
+          console.error(`Error loading ${facet.key} options:`, error);
+          options = [];
         }
       }
-    });
-    
-    return activeTypes.length > 0 ? activeTypes : ['course', 'learningProgram', 'certification', 'jobAid'];
+      facetOptions.set(facet.key, options);
+      const section = sidebar.querySelector(`[data-facet="${facet.key}"]`);
+      renderFacetOptions(section, facet, options, currentFilters);
+      syncSidebar();
+      refreshFacetCounts(facet);
+    }));
   }
   
   // Initial load
-  await loadCourses(true);
+  applyViewMode(getStoredViewMode());
+  renderSortOptions(sortSelect, currentFilters);
+  await loadPages(restored.pages);
   
   // Clear loading and add content
   block.innerHTML = '';
   block.appendChild(header);
   
+  mainContent.appendChild(toolbar);
   mainContent.appendChild(courseGrid);
   mainContent.appendChild(loadMoreContainer);
   contentContainer.appendChild(mainContent);
@@ -547,55 +1066,76 @@ export default async function decorate(block) {
   // Add search functionality with debouncing
   let searchTimeout;
   const searchInput = header.querySelector('.search-input');
+  searchInput.value = currentFilters.searchTerm;
   searchInput.addEventListener('input', (e) => {
     clearTimeout(searchTimeout);
     searchTimeout = setTimeout(async () => {
-      currentFilters.searchTerm = e.target.value;
-      
-      // Use search API if there's a search term, otherwise use regular API
-      if (currentFilters.searchTerm.trim()) {
-        try {
-          isLoading = true;
-          updateLoadMoreButton();
-          
-          const data = await searchLearningObjects(currentFilters.searchTerm, 9);
-          const newCourses = data.data || [];
-          
-          allCourses = newCourses;
-          await renderCourses(allCourses, false, data.included || []);
-          
-          // Handle pagination for search results
-          nextCursor = null;
-          hasMoreData = false;
-          if (data.links && data.links.next) {
-            const nextUrl = new URL(data.links.next);
-            nextCursor = nextUrl.searchParams.get('page[cursor]');
-            hasMoreData = true;
-          }
-          
-          isLoading = false;
-          updateLoadMoreButton();
-        } catch (error) {
-          console.error('Search failed:', error);
-          isLoading = false;
-          showError('Search failed. Please try again.');
-        }
-      } else {
-        await loadCourses(true); // Reset data for new search
-      }
+      // the search API is used with a search term, the learning objects API otherwise
+      currentFilters = { ...currentFilters, searchTerm: e.target.value };
+      await applyFilters();
     }, 500); // 500ms debounce
   });
   
-  // Add filter functionality
-  const filterCheckboxes = sidebar.querySelectorAll('input[type="checkbox"]');
-  filterCheckboxes.forEach(checkbox => {
-    checkbox.addEventListener('change', async () => {
-      console.log('Filter changed:', checkbox.id, checkbox.checked);
-      
-      // If it's a type filter, reload courses
-      if (['courses', 'learning-paths', 'job-aids', 'certifications'].includes(checkbox.id)) {
-        await loadCourses(true); // Reset data for new filter
-      }
+  // Facet and date changes map to ALM filter.* parameters and reload the first page
+  sidebar.addEventListener('change', async (e) => {
+    const input = e.target;
+    if (input.dataset.facet) {
+      const facet = FACETS.find((candidate) => candidate.key === input.dataset.facet);
+      const checked = Array.from(sidebar.querySelectorAll(`input[data-facet="${facet.key}"]`))
+        .filter((facetInput) => facetInput.checked && facetInput.value)
+        .map((facetInput) => facetInput.value);
+      currentFilters = { ...currentFilters, [facet.key]: checked };
+    } else if (input.dataset.filter) {
+      currentFilters = { ...currentFilters, [input.dataset.filter]: input.value };
+    } else {
+      return;
+    }
+    await applyFilters();
+  });
+  
+  sidebar.querySelector('.clear-filters').addEventListener('click', async () => {
+    currentFilters = { ...createEmptyFilters(), searchTerm: currentFilters.searchTerm };
+    await applyFilters();
+  });
+  
+  sortSelect.addEventListener('change', async () => {
+    currentFilters = { ...currentFilters, sort: sortSelect.value };
+    await applyFilters();
+  });
+
+  toolbar.querySelector('.view-modes').addEventListener('click', (e) => {
+    const button = e.target.closest('.view-mode');
+    if (!button) return;
+    storeViewMode(button.dataset.view);
+    applyViewMode(button.dataset.view);
+  });
+
+  // Counts of a facet load when it is opened
+  sidebar.querySelectorAll('details.facet').forEach((section) => {
+    section.addEventListener('toggle', () => {
+      const facet = FACETS.find((candidate) => candidate.key === section.dataset.facet);
+      if (section.open && facet) refreshFacetCounts(facet);
     });
   });
+  
+  // Back and forward restore the view of that history entry
+  window.addEventListener('popstate', async () => {
+    const { filters, pages } = filtersFromUrl(new URLSearchParams(window.location.search));
+    currentFilters = filters;
+    searchInput.value = filters.searchTerm;
+    renderSortOptions(sortSelect, filters);
+    syncSidebar();
+    refreshFacetCounts();
+    await loadPages(pages);
+  });
+
+  updateFacetVisibility();
+  syncSidebar();
+  loadFacetOptions();
+  onSessionChange(async () => {
+    // each learner has their own view mode
+    applyViewMode(getStoredViewMode());
+    updateFacetVisibility();
+    await applyFilters();
+  });
 }
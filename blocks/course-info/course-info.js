@@ -4,6 +4,17 @@
  * Can be authored into any EDS page using the course-info block
  */
 
+import { getSession, login, onSessionChange } from '../../scripts/alm-auth.js';
+import {
+  enroll, unenroll, getEnrollmentOptions, getPageLoId, getPageInstanceId, EnrollmentError,
+} from '../../scripts/alm-enrollment.js';
+
+const AVAILABILITY_LABELS = {
+  open: 'Enroll Now',
+  waitlist: 'Join Waitlist',
+  closed: 'Enrollment Closed',
+};
+
 /**
  * Gets course data from meta tags
  * @returns {object} Course data object
@@ -53,10 +64,18 @@ function createCourseInfoContent(courseData) {
       <p>${courseData.courseDescription || 'No description available'}</p>
     </div>
     
+    <div class="course-enrollment">
+      <div class="enrollment-instance"></div>
+      <div class="enrollment-message" role="status" aria-live="polite"></div>
+    </div>
+    
     <div class="course-actions">
-      <button class="course-action-btn primary" onclick="handleEnrollClick('${courseData.courseId}')">
+      <button class="course-action-btn primary enroll-btn">
         Enroll Now
       </button>
+      <button class="course-action-btn secondary unenroll-btn" hidden>
+        Unenroll
+      </button>
       <button class="course-action-btn secondary" onclick="handleViewDetailsClick('${courseData.courseId}')">
         View Details
       </button>
@@ -64,22 +83,175 @@ function createCourseInfoContent(courseData) {
   `;
 }
 
+/**
+ * Shows a message under the enrollment controls
+ * @param {Element} block - The course info block element
+ * @param {string} message - Message text, empty to clear it
+ * @param {string} [type] - `success`, `info` or `error`
+ */
+function showEnrollmentMessage(block, message, type = 'info') {
+  const messageElement = block.querySelector('.enrollment-message');
+  messageElement.className = `enrollment-message ${message ? type : ''}`.trim();
+  messageElement.textContent = message;
+}
+
+/**
+ * Describes an instance for the instance picker
+ * @param {object} instance - Instance availability from the enrollment service
+ * @returns {string} Option label
+ */
+function describeInstance(instance) {
+  const details = [];
+  if (instance.enrollmentDeadline) {
+    details.push(`Enroll by ${new Date(instance.enrollmentDeadline).toLocaleDateString()}`);
+  }
+  if (instance.availability === 'closed') {
+    details.push('closed');
+  } else if (instance.availability === 'waitlist') {
+    details.push('full, waitlist only');
+  } else if (instance.seatsLeft !== null) {
+    details.push(`${instance.seatsLeft} of ${instance.seatLimit} seats left`);
+  }
+  return details.length > 0 ? `${instance.name} (${details.join(', ')})` : instance.name;
+}
+
+/**
+ * Updates the enroll button for the picked instance
+ * @param {Element} block - The course info block element
+ * @param {object|undefined} instance - Picked instance availability
+ */
+function updateEnrollButton(block, instance) {
+  const enrollBtn = block.querySelector('.enroll-btn');
+  enrollBtn.textContent = instance ? AVAILABILITY_LABELS[instance.availability] : 'Enrollment Closed';
+  enrollBtn.disabled = !instance || instance.availability === 'closed';
+}
+
+/**
+ * Renders the learner's enrollment: their status and Unenroll, or the instances
+ * they can enroll in with the enroll button
+ * @param {Element} block - The course info block element
+ */
+async function renderEnrollment(block) {
+  const enrollBtn = block.querySelector('.enroll-btn');
+  const unenrollBtn = block.querySelector('.unenroll-btn');
+  const instanceContainer = block.querySelector('.enrollment-instance');
+  instanceContainer.innerHTML = '';
+
+  // Pages not rendered for a learning object have nothing to enroll in
+  const loId = getPageLoId();
+  if (!loId) {
+    enrollBtn.hidden = true;
+    unenrollBtn.hidden = true;
+    return;
+  }
+
+  // Signed out, the enroll button signs in first
+  if (!getSession()) {
+    enrollBtn.hidden = false;
+    enrollBtn.disabled = false;
+    enrollBtn.textContent = 'Enroll Now';
+    unenrollBtn.hidden = true;
+    return;
+  }
+
+  let options;
+  try {
+    options = await getEnrollmentOptions(loId);
+  } catch (error) {
+    console.error('Error loading enrollment options:', error);
+    showEnrollmentMessage(block, 'Enrollment options could not be loaded.', 'error');
+    return;
+  }
+
+  if (options.enrollment) {
+    enrollBtn.hidden = true;
+    unenrollBtn.hidden = !options.unenrollmentAllowed || options.enrollment.status === 'completed';
+    unenrollBtn.textContent = options.enrollment.status === 'enrolled' ? 'Unenroll' : 'Withdraw Request';
+    showEnrollmentMessage(block, options.enrollment.message, options.enrollment.status === 'rejected' ? 'error' : 'success');
+    return;
+  }
+
+  const instances = options.instances.filter((instance) => instance.availability !== 'retired');
+  const pageInstanceId = getPageInstanceId();
+  const picked = instances.find((instance) => instance.id === pageInstanceId)
+    || instances.find((instance) => instance.isDefault)
+    || instances[0];
+
+  // Learners pick the instance when there is more than one
+  if (instances.length > 1) {
+    const label = document.createElement('label');
+    label.textContent = 'Instance';
+    const select = document.createElement('select');
+    select.className = 'enrollment-instance-select';
+    instances.forEach((instance) => {
+      const option = document.createElement('option');
+      option.value = instance.id;
+      option.textContent = describeInstance(instance);
+      option.selected = instance === picked;
+      select.append(option);
+    });
+    select.addEventListener('change', () => {
+      updateEnrollButton(block, instances.find((instance) => instance.id === select.value));
+    });
+    label.append(select);
+    instanceContainer.append(label);
+  } else if (picked) {
+    instanceContainer.textContent = describeInstance(picked);
+  }
+
+  enrollBtn.hidden = false;
+  unenrollBtn.hidden = true;
+  updateEnrollButton(block, picked);
+}
+
 /**
  * Handle enroll button click
- * @param {string} courseId - Course ID
+ * @param {Element} block - The course info block element
  */
-function handleEnrollClick(courseId) {
-  // You can customize this to integrate with your enrollment system
-  console.log('Enroll clicked for course:', courseId);
-  
-  // Example: Redirect to enrollment page
-  // window.location.href = `/enroll?courseId=${encodeURIComponent(courseId)}`;
-  
-  // Example: Open enrollment modal
-  // openEnrollmentModal(courseId);
-  
-  // For demo purposes, show an alert
-  alert(`Enrollment functionality for course ${courseId} would be implemented here.`);
+async function handleEnrollClick(block) {
+  // Enrollment needs a learner session
+  if (!getSession()) {
+    login();
+    return;
+  }
+
+  const enrollBtn = block.querySelector('.enroll-btn');
+  const select = block.querySelector('.enrollment-instance-select');
+  const instanceId = select ? select.value : undefined;
+
+  enrollBtn.disabled = true;
+  showEnrollmentMessage(block, 'Enrolling…');
+  try {
+    const enrollment = await enroll(getPageLoId(), instanceId);
+    await renderEnrollment(block);
+    showEnrollmentMessage(block, enrollment.message, 'success');
+  } catch (error) {
+    console.error('Error enrolling user:', error);
+    enrollBtn.disabled = false;
+    showEnrollmentMessage(block, error instanceof EnrollmentError ? error.message : 'Enrollment failed. Please try again.', 'error');
+  }
+}
+
+/**
+ * Handle unenroll button click
+ * @param {Element} block - The course info block element
+ */
+async function handleUnenrollClick(block) {
+  // eslint-disable-next-line no-alert
+  if (!window.confirm('Unenroll from this training? Your progress may be lost.')) return;
+
+  const unenrollBtn = block.querySelector('.unenroll-btn');
+  unenrollBtn.disabled = true;
+  try {
+    await unenroll(getPageLoId());
+    await renderEnrollment(block);
+    showEnrollmentMessage(block, 'You are no longer enrolled.', 'info');
+  } catch (error) {
+    console.error('Error unenrolling user:', error);
+    showEnrollmentMessage(block, error instanceof EnrollmentError ? error.message : 'Unenrolling failed. Please try again.', 'error');
+  } finally {
+    unenrollBtn.disabled = false;
+  }
 }
 
 /**
@@ -155,8 +327,16 @@ export default function decorate(block) {
   // Add success class for styling
   block.classList.add('course-info-loaded');
   
+  // Wire enrollment and show the learner's status, again whenever they sign in or out
+  block.querySelector('.enroll-btn').addEventListener('click', () => handleEnrollClick(block));
+  block.querySelector('.unenroll-btn').addEventListener('click', () => handleUnenrollClick(block));
+  renderEnrollment(block);
+  onSessionChange(() => {
+    showEnrollmentMessage(block, '');
+    renderEnrollment(block);
+  });
+  
   // Make functions available globally for button clicks
-  window.handleEnrollClick = handleEnrollClick;
   window.handleViewDetailsClick = handleViewDetailsClick;
   
   console.log('Course Info Block decorated successfully');
@@ -1,198 +1,618 @@
-// API Configuration
-const API_CONFIG = {
-  baseUrl: 'https://learningmanager.adobe.com/primeapi/v2',
-  headers: {
-    'Accept': 'application/vnd.api+json',
-    'Authorization': `oauth ${sessionStorage.getItem('alm_access_token')}`
+import { getSession, login, onSessionChange } from '../../scripts/alm-auth.js';
+import { almFetch, getRelated } from '../../scripts/alm-api.js';
+import { openPlayer } from '../../scripts/alm-player.js';
+import {
+  enroll, unenroll, describeEnrollment, canLaunch, getPageLoId, getPageInstanceId, EnrollmentError,
+} from '../../scripts/alm-enrollment.js';
+import {
+  listNotes, createNote, updateNote, deleteNote, groupNotesByModule, notesToMarkdown,
+} from '../../scripts/alm-notes.js';
+
+const MODULE_STATUSES = ['completed', 'in-progress', 'not-started'];
+
+// Progress of a module from the learner's grade: status, percentage and last visit
+function getModuleProgress(grade) {
+  const attributes = grade?.attributes || {};
+  const percent = attributes.dateCompleted || attributes.hasPassed
+    ? 100
+    : Math.round(attributes.progressPercent || 0);
+
+  let status = 'not-started';
+  if (percent >= 100) {
+    status = 'completed';
+  } else if (percent > 0 || attributes.dateStarted) {
+    status = 'in-progress';
+  }
+
+  // ALM records when a module was started and completed; the later one is the last visit
+  const lastVisited = [attributes.dateStarted, attributes.dateCompleted]
+    .filter(Boolean).sort().pop() || null;
+
+  return { status, percent, lastVisited };
+}
+
+function formatModuleStatus({ status, percent, lastVisited }) {
+  const visited = lastVisited
+    ? ` · Last visited ${new Date(lastVisited).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}`
+    : '';
+  if (status === 'completed') return `✓ Completed${visited}`;
+  if (status === 'in-progress') return `⏱️ ${percent}% complete${visited}`;
+  return '○ Not started';
+}
+
+// Fetch the learner's enrollment with the grade of every module, keyed by loResource id, and the
+// loResource ids of the enrolled instance (else the page's or the first one) in module order
+async function fetchLearnerProgress(loId) {
+  const document = await almFetch(`/learningObjects/${loId}`, {
+    query: {
+      include: 'instances,enrollment.loResourceGrades,enrollment.loInstance.loResources.resourceGrade',
+    },
+  });
+
+  const enrollment = getRelated(document, document.data, 'enrollment');
+  const unenrollmentAllowed = document.data.attributes?.unenrollmentAllowed !== false;
+  const instances = getRelated(document, document.data, 'instances') || [];
+  const instance = (enrollment && getRelated(document, enrollment, 'loInstance'))
+    || instances.find((candidate) => candidate.id === getPageInstanceId())
+    || instances[0];
+  const moduleIds = (instance?.relationships?.loResources?.data || []).map((ref) => ref.id);
+  const grades = new Map();
+  if (!enrollment) {
+    return {
+      enrollment: null, grades, unenrollmentAllowed, moduleIds,
+    };
+  }
+
+  (getRelated(document, instance, 'loResources') || []).forEach((loResource) => {
+    const grade = getRelated(document, loResource, 'resourceGrade');
+    if (grade) grades.set(loResource.id, grade);
+  });
+
+  return {
+    enrollment, grades, unenrollmentAllowed, moduleIds,
+  };
+}
+
+// Authored pages don't know the loResource ids of their modules; they follow the instance's order
+function assignModuleIds(block, moduleIds = []) {
+  block.querySelectorAll('.module-item').forEach((moduleItem, index) => {
+    if (!moduleItem.dataset.resourceId && moduleIds[index]) {
+      moduleItem.dataset.resourceId = moduleIds[index];
+    }
+  });
+}
+
+// Button label (Start, Continue or Revisit) and the module to resume: the first one not completed
+function getContinueState(block, { enrollment, grades }) {
+  const modules = Array.from(block.querySelectorAll('.module-item')).map((moduleItem) => ({
+    id: moduleItem.dataset.resourceId,
+    progress: getModuleProgress(grades.get(moduleItem.dataset.resourceId)),
+  }));
+  const nextModule = modules.find((module) => module.progress.status !== 'completed');
+
+  let label = 'Start';
+  if (enrollment) {
+    // pages without modules (learning programs, certifications) go by the enrollment alone
+    const attributes = enrollment.attributes || {};
+    const completed = modules.length > 0 ? !nextModule : attributes.state === 'COMPLETED';
+    const started = modules.some((module) => module.progress.status !== 'not-started')
+      || attributes.progressPercent > 0;
+    if (completed) {
+      label = 'Revisit';
+    } else if (started) {
+      label = 'Continue';
+    }
   }
+
+  return { label, moduleId: (nextModule || modules[0])?.id || null };
+}
+
+// Labels of the Continue button while an enrollment waits for approval or a seat
+const PENDING_LABELS = {
+  'pending-approval': 'Awaiting approval',
+  'pending-acceptance': 'Awaiting acceptance',
+  waitlisted: 'On waitlist',
+  rejected: 'Enrollment rejected',
 };
 
-// Check if user is already enrolled in course
-async function checkEnrollmentStatus(courseId) {
-  try {
-    const accessToken = sessionStorage.getItem('alm_access_token');
-    const params = new URLSearchParams({
-      'include': 'enrollment.loResourceGrades,enrollment.loInstance.loResources.resources.room',
-      'showLoContentSource': 'true',
-      'access_token': accessToken
-    });
+function updateContinueButton(block, learnerProgress) {
+  const continueBtn = block.querySelector('button.continue-btn');
+  if (!continueBtn) return;
 
-    const url = `${API_CONFIG.baseUrl}/learningObjects/${courseId}?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/vnd.api+json',
-        'Authorization': `oauth ${accessToken}`
-      }
+  const enrollment = describeEnrollment(learnerProgress.enrollment);
+  continueBtn.dataset.enrollmentStatus = enrollment ? enrollment.status : '';
+  if (enrollment && !canLaunch(enrollment)) {
+    continueBtn.textContent = PENDING_LABELS[enrollment.status];
+    continueBtn.disabled = true;
+    return;
+  }
+  continueBtn.textContent = getContinueState(block, learnerProgress).label;
+  continueBtn.disabled = false;
+}
+
+// Show the enrollment status, an error or a notice under Continue, with Unenroll when allowed
+function renderEnrollmentStatus(block, learnerProgress, { error, notice } = {}) {
+  const actions = block.querySelector('.sidebar-actions');
+  if (!actions) return;
+
+  let statusElement = actions.querySelector('.enrollment-status');
+  if (!statusElement) {
+    statusElement = document.createElement('div');
+    statusElement.className = 'enrollment-status';
+    statusElement.setAttribute('role', 'status');
+    statusElement.setAttribute('aria-live', 'polite');
+    actions.append(statusElement);
+  }
+
+  const enrollment = describeEnrollment(learnerProgress?.enrollment);
+  statusElement.className = `enrollment-status ${error ? 'error' : enrollment?.status || ''}`.trim();
+  statusElement.innerHTML = '';
+  const message = error || notice || enrollment?.message;
+  if (message) {
+    const text = document.createElement('p');
+    text.textContent = message;
+    statusElement.append(text);
+  }
+
+  if (enrollment && enrollment.status !== 'completed' && learnerProgress.unenrollmentAllowed) {
+    const unenrollBtn = document.createElement('button');
+    unenrollBtn.className = 'unenroll-btn';
+    unenrollBtn.textContent = enrollment.status === 'enrolled' ? 'Unenroll' : 'Withdraw request';
+    unenrollBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      // eslint-disable-next-line no-use-before-define
+      handleUnenrollClick(block, unenrollBtn);
     });
+    statusElement.append(unenrollBtn);
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+// Update module statuses, progress bars and the completed counter from the learner's grades
+function hydrateProgress(block, learnerProgress) {
+  const { grades } = learnerProgress;
+  assignModuleIds(block, learnerProgress.moduleIds);
+  const moduleItems = Array.from(block.querySelectorAll('.module-item'));
+  let completedCount = 0;
+
+  moduleItems.forEach((moduleItem) => {
+    const progress = getModuleProgress(grades.get(moduleItem.dataset.resourceId));
+    if (progress.status === 'completed') completedCount += 1;
+
+    moduleItem.classList.remove(...MODULE_STATUSES);
+    moduleItem.classList.add(progress.status);
+    moduleItem.dataset.progress = progress.percent;
+    if (progress.lastVisited) {
+      moduleItem.dataset.lastVisited = progress.lastVisited;
+    } else {
+      delete moduleItem.dataset.lastVisited;
     }
 
-    const data = await response.json();
-    
-    // Check if user has enrollment data
-    const hasEnrollment = data.data && 
-                         data.data.relationships && 
-                         data.data.relationships.enrollment && 
-                         data.data.relationships.enrollment.data;
-    
-    return { isEnrolled: hasEnrollment, data: data };
-  } catch (error) {
-    console.error('Error checking enrollment status:', error);
-    return { isEnrolled: false, data: null };
+    const statusElement = moduleItem.querySelector('.module-status');
+    if (statusElement) statusElement.textContent = formatModuleStatus(progress);
+
+    let progressBar = moduleItem.querySelector('.module-progress');
+    if (!progressBar) {
+      progressBar = document.createElement('div');
+      progressBar.className = 'module-progress';
+      progressBar.setAttribute('role', 'progressbar');
+      progressBar.setAttribute('aria-valuemin', '0');
+      progressBar.setAttribute('aria-valuemax', '100');
+      progressBar.innerHTML = '<span class="module-progress-bar"></span>';
+      (moduleItem.querySelector('.module-content') || moduleItem).append(progressBar);
+    }
+    progressBar.setAttribute('aria-valuenow', progress.percent);
+    progressBar.querySelector('.module-progress-bar').style.width = `${progress.percent}%`;
+  });
+
+  // the counter of pages without modules shows other figures
+  const progressCount = block.querySelector('.progress-count');
+  if (progressCount && moduleItems.length > 0) {
+    progressCount.textContent = `${completedCount}/${moduleItems.length}`;
   }
+
+  updateContinueButton(block, learnerProgress);
+  renderEnrollmentStatus(block, learnerProgress);
 }
 
-// Enroll user in course
-async function enrollUser(courseId) {
+// Load the signed-in learner's progress into the modules and the Continue button;
+// signed out, every module is not started
+async function loadLearnerProgress(block) {
+  const loId = getPageLoId();
+  if (!loId) return;
+
+  if (!getSession()) {
+    hydrateProgress(block, { grades: new Map() });
+    return;
+  }
+
   try {
-    const accessToken = sessionStorage.getItem('alm_access_token');
-    const params = new URLSearchParams({
-      'include': 'enrollment.loResourceGrades,enrollment.loInstance.loResources.resources.room',
-      'showLoContentSource': 'true',
-      'access_token': accessToken
-    });
+    hydrateProgress(block, await fetchLearnerProgress(loId));
+  } catch (error) {
+    console.error('Error loading learner progress:', error);
+  }
+}
 
-    const url = `${API_CONFIG.baseUrl}/learningObjects/${courseId}?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/vnd.api+json',
-        'Authorization': `oauth ${accessToken}`
-      }
-    });
+// A module's grade updated with a progress or completion event of the player; never goes back
+function applyPlayerEvent(grade, event) {
+  const attributes = grade?.attributes || {};
+  const now = new Date().toISOString();
+  return {
+    ...grade,
+    attributes: {
+      ...attributes,
+      dateStarted: attributes.dateStarted || now,
+      progressPercent: Math.max(attributes.progressPercent || 0, event.progressPercent || 0),
+      ...(event.type === 'completion' ? { dateCompleted: attributes.dateCompleted || now } : {}),
+    },
+  };
+}
+
+// Message for a failed enrollment: the reason ALM or the enrollment service gave, if any
+function getEnrollmentErrorMessage(error) {
+  if (error instanceof EnrollmentError) return error.message;
+  return 'Enrollment failed. Please try again.';
+}
+
+// Sign in and enroll if needed, then open the player at the given module; enrollments that wait
+// for approval or a seat only show their status
+async function launchLearningObject(block, moduleId) {
+  const loId = getPageLoId();
+  if (!loId) return;
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+  if (!getSession()) {
+    await login();
+    return;
+  }
+
+  let progress = await fetchLearnerProgress(loId);
+  assignModuleIds(block, progress.moduleIds);
+  if (!progress.enrollment) {
+    try {
+      await enroll(loId);
+    } catch (error) {
+      console.error('Error enrolling user:', error);
+      renderEnrollmentStatus(block, progress, { error: getEnrollmentErrorMessage(error) });
+      return;
     }
+    progress = await fetchLearnerProgress(loId);
+    hydrateProgress(block, progress);
+  }
+
+  if (!canLaunch(describeEnrollment(progress.enrollment))) return;
+
+  const target = moduleId || getContinueState(block, progress).moduleId;
+  // progress the player reports shows right away; closing it reloads the recorded progress
+  await openPlayer({
+    loId,
+    moduleId: target,
+    onEvent: (event) => {
+      if (!event.moduleId) return;
+      const grade = progress.grades.get(event.moduleId);
+      progress.grades.set(event.moduleId, applyPlayerEvent(grade, event));
+      hydrateProgress(block, progress);
+    },
+    onClose: () => loadLearnerProgress(block),
+  });
+}
 
-    const data = await response.json();
-    return data;
+// Show a failed launch under Continue, keeping the learner's enrollment status and Unenroll
+async function showLaunchError(block) {
+  const loId = getPageLoId();
+  const progress = loId && getSession() ? await fetchLearnerProgress(loId).catch(() => null) : null;
+  renderEnrollmentStatus(block, progress, {
+    error: 'An error occurred while launching the course. Please try again.',
+  });
+}
+
+// Resume at the next incomplete module
+async function handleContinueClick(block, continueBtn) {
+  continueBtn.disabled = true;
+  try {
+    await launchLearningObject(block);
   } catch (error) {
-    console.error('Error enrolling user:', error);
-    return null;
+    console.error('Error continuing course:', error);
+    await showLaunchError(block);
+  } finally {
+    // enrollments waiting for approval or a seat keep the button disabled
+    continueBtn.disabled = !!PENDING_LABELS[continueBtn.dataset.enrollmentStatus];
   }
 }
 
-// Create and show fluidic player modal
-function createFluidicPlayerModal(playerUrl) {
-  // Create modal overlay
-  const modalOverlay = document.createElement('div');
-  modalOverlay.className = 'fluidic-modal-overlay';
-  modalOverlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background-color: rgba(0, 0, 0, 0.8);
-    z-index: 10000;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-  `;
+// Open the player at the clicked module
+async function handleModuleClick(block, resourceId) {
+  try {
+    await launchLearningObject(block, resourceId);
+  } catch (error) {
+    console.error('Error launching module:', error);
+    await showLaunchError(block);
+  }
+}
 
-  // Create modal content
-  const modalContent = document.createElement('div');
-  modalContent.className = 'fluidic-modal-content';
-  modalContent.style.cssText = `
-    width: 100%;
-    height: 100%;
-    background-color: white;
-    position: relative;
-    overflow: hidden;
-  `;
+async function handleUnenrollClick(block, unenrollBtn) {
+  // eslint-disable-next-line no-alert
+  if (!window.confirm('Unenroll from this training? Your progress may be lost.')) return;
+
+  const loId = getPageLoId();
+  unenrollBtn.disabled = true;
+  try {
+    await unenroll(loId);
+    const progress = await fetchLearnerProgress(loId);
+    hydrateProgress(block, progress);
+    renderEnrollmentStatus(block, progress, { notice: 'You are no longer enrolled.' });
+  } catch (error) {
+    console.error('Error unenrolling user:', error);
+    const progress = await fetchLearnerProgress(loId).catch(() => null);
+    renderEnrollmentStatus(block, progress, {
+      error: error instanceof EnrollmentError ? error.message : 'Unenrolling failed. Please try again.',
+    });
+  }
+}
+
+// Modules on the page, in order, for grouping notes and picking the module of a new note
+function getPageModules(block) {
+  return Array.from(block.querySelectorAll('.module-item')).map((moduleItem) => ({
+    id: moduleItem.dataset.resourceId,
+    name: moduleItem.querySelector('.module-link')?.textContent.trim() || moduleItem.dataset.resourceId,
+  }));
+}
+
+function formatNoteTime(note) {
+  const time = note.dateModified
+    ? new Date(note.dateModified).toLocaleString(undefined, {
+      year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+    })
+    : '';
+  return note.marker ? `${time} · at ${note.marker}` : time;
+}
+
+function showNotesError(block, message) {
+  const errorElement = block.querySelector('.notes-error');
+  if (errorElement) errorElement.textContent = message;
+}
 
-  // Create iframe for fluidic player
-  const iframe = document.createElement('iframe');
-  iframe.src = playerUrl;
-  iframe.style.cssText = `
-    width: 100%;
-    height: 100%;
-    border: none;
+// Form with a textarea; onSubmit gets the trimmed text, onCancel adds a Cancel button
+function createNoteForm(block, {
+  text = '', submitLabel, onSubmit, onCancel,
+}) {
+  const form = document.createElement('form');
+  form.className = 'note-form';
+  form.innerHTML = `
+    <textarea class="note-input" rows="3" required aria-label="Note"></textarea>
+    <div class="note-form-actions">
+      <button type="submit" class="note-save">${submitLabel}</button>
+    </div>
   `;
+  const input = form.querySelector('.note-input');
+  input.value = text;
+
+  if (onCancel) {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'note-cancel';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', onCancel);
+    form.querySelector('.note-form-actions').append(cancelBtn);
+  }
 
-  // Add event listeners
-  modalOverlay.addEventListener('click', (e) => {
-    if (e.target === modalOverlay) {
-      document.body.removeChild(modalOverlay);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const value = input.value.trim();
+    if (!value) return;
+    const saveBtn = form.querySelector('.note-save');
+    saveBtn.disabled = true;
+    try {
+      await onSubmit(value);
+    } catch (error) {
+      console.error('Error saving note:', error);
+      showNotesError(block, 'The note could not be saved. Please try again.');
+      saveBtn.disabled = false;
     }
   });
+  return form;
+}
 
-  // Listen for messages from the iframe to close modal
-  window.addEventListener('message', function closePlayer(event) {
-    if (event.data === 'status:close') {
-      // Handle closing event from Adobe Learning Manager player
-      if (document.body.contains(modalOverlay)) {
-        document.body.removeChild(modalOverlay);
-      }
+function createNoteItem(block, note) {
+  const item = document.createElement('li');
+  item.className = 'note-item';
+  item.dataset.noteId = note.id;
+  item.innerHTML = `
+    <p class="note-text"></p>
+    <div class="note-meta">
+      <span class="note-time"></span>
+      <button type="button" class="note-edit">Edit</button>
+      <button type="button" class="note-delete">Delete</button>
+    </div>
+  `;
+  item.querySelector('.note-text').textContent = note.text;
+  item.querySelector('.note-time').textContent = formatNoteTime(note);
+
+  item.querySelector('.note-edit').addEventListener('click', () => {
+    item.replaceChildren(createNoteForm(block, {
+      text: note.text,
+      submitLabel: 'Save',
+      onSubmit: async (text) => {
+        await updateNote(note.id, text);
+        // eslint-disable-next-line no-use-before-define
+        await loadNotes(block);
+      },
+      onCancel: () => item.replaceWith(createNoteItem(block, note)),
+    }));
+    item.querySelector('.note-input').focus();
+  });
+
+  item.querySelector('.note-delete').addEventListener('click', async () => {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm('Delete this note?')) return;
+    try {
+      await deleteNote(note.id);
+      // eslint-disable-next-line no-use-before-define
+      await loadNotes(block);
+    } catch (error) {
+      console.error('Error deleting note:', error);
+      showNotesError(block, 'The note could not be deleted. Please try again.');
     }
   });
+  return item;
+}
 
-  // Assemble modal
-  modalContent.appendChild(iframe);
-  modalOverlay.appendChild(modalContent);
+// Download the notes as a Markdown file
+function exportNotes(block, notes) {
+  const title = document.querySelector('meta[name="course-title"]')?.content
+    || block.querySelector('.course-title')?.textContent.trim()
+    || 'Course';
+  const markdown = notesToMarkdown(title, notes, getPageModules(block));
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown' }));
+  link.download = `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course'}-notes.md`;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  // some browsers start the download after click() returns; keep the blob until then
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Notes grouped by module, each group linking to its module, plus a form for a new note
+function renderNotes(block, { loId, instanceId, notes }) {
+  const panel = block.querySelector('.notes-content');
+  const modules = getPageModules(block);
+  panel.innerHTML = `
+    <div class="notes-toolbar">
+      <h3 class="content-title">My notes</h3>
+      <button type="button" class="notes-export">Export as Markdown</button>
+    </div>
+    <p class="notes-error" role="alert"></p>
+    <div class="notes-new">
+      <label class="notes-module-picker">Module <select class="notes-module-select"></select></label>
+    </div>
+    <div class="notes-groups"></div>
+  `;
+
+  panel.querySelector('.notes-export').disabled = notes.length === 0;
+  panel.querySelector('.notes-export').addEventListener('click', () => exportNotes(block, notes));
+
+  const select = panel.querySelector('.notes-module-select');
+  modules.forEach((module) => {
+    const option = document.createElement('option');
+    option.value = module.id;
+    option.textContent = module.name;
+    select.append(option);
+  });
+  if (modules.length > 0) {
+    panel.querySelector('.notes-new').append(createNoteForm(block, {
+      submitLabel: 'Add note',
+      onSubmit: async (text) => {
+        await createNote(loId, instanceId, select.value, text);
+        // eslint-disable-next-line no-use-before-define
+        await loadNotes(block);
+      },
+    }));
+  } else {
+    panel.querySelector('.notes-new').remove();
+  }
+
+  const groups = panel.querySelector('.notes-groups');
+  groupNotesByModule(notes, modules).forEach((module) => {
+    const group = document.createElement('section');
+    group.className = 'notes-module';
+    group.innerHTML = '<h4 class="notes-module-title"></h4><ul class="notes-list"></ul>';
+    const title = group.querySelector('.notes-module-title');
+    if (module.id) {
+      // jump to the module the notes are about
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = module.name;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        // eslint-disable-next-line no-use-before-define
+        handleModuleClick(block, module.id);
+      });
+      title.append(link);
+    } else {
+      title.textContent = module.name;
+    }
+    group.querySelector('.notes-list').append(...module.notes.map((note) => createNoteItem(block, note)));
+    groups.append(group);
+  });
 
-  // Add to document
-  document.body.appendChild(modalOverlay);
+  if (notes.length === 0) {
+    groups.innerHTML = '<p class="notes-empty">No notes yet. Notes you take here or in the player show up per module.</p>';
+  }
 }
 
-// Handle module click
-async function handleModuleClick(courseId, resourceId, resourceData, includedData) {
+// Load the learner's notes on the instance they are enrolled in into the Notes tab
+async function loadNotes(block) {
+  const panel = block.querySelector('.notes-content');
+  const loId = getPageLoId();
+  if (!panel || !loId) return;
+
+  if (!getSession()) {
+    panel.innerHTML = `
+      <p class="notes-empty">Sign in to take notes on the modules.</p>
+      <button type="button" class="notes-sign-in">Sign in</button>
+    `;
+    panel.querySelector('.notes-sign-in').addEventListener('click', () => login());
+    return;
+  }
+
+  panel.setAttribute('aria-busy', 'true');
   try {
-    console.log('Starting module launch process...');
-    
-    // Check if user is already enrolled
-    console.log('Checking enrollment status for course:', courseId);
-    const enrollmentStatus = await checkEnrollmentStatus(courseId);
-    
-    let enrollmentResult = null;
-    
-    if (!enrollmentStatus.isEnrolled) {
-      // User is not enrolled, so enroll them
-      console.log('User not enrolled, enrolling in course:', courseId);
-      enrollmentResult = await enrollUser(courseId);
-      
-      if (!enrollmentResult) {
-        console.error('Failed to enroll user');
-        alert('Failed to enroll in course. Please try again.');
-        return;
-      }
-      
-      console.log('User enrolled successfully');
-    } else {
-      console.log('User already enrolled, skipping enrollment');
-      enrollmentResult = enrollmentStatus.data;
+    const progress = await fetchLearnerProgress(loId);
+    assignModuleIds(block, progress.moduleIds);
+    if (!progress.enrollment) {
+      panel.innerHTML = '<p class="notes-empty">Enroll to take notes on the modules.</p>';
+      return;
     }
-    
-    // Create embeddable player URL directly
-    const accessToken = sessionStorage.getItem('alm_access_token');
-    const baseUrl = API_CONFIG.baseUrl.replace('/primeapi/v2', ''); // Remove API path to get base domain
-    const embeddableUrl = `${baseUrl}/app/player?lo_id=${courseId}&access_token=${accessToken}`;
-    
-    console.log('Launching embeddable player with URL:', embeddableUrl);
-    
-    // Open embeddable player in modal
-    createFluidicPlayerModal(embeddableUrl);
-    
+    const instanceId = describeEnrollment(progress.enrollment).instanceId || getPageInstanceId();
+    renderNotes(block, { loId, instanceId, notes: await listNotes(loId, instanceId) });
   } catch (error) {
-    console.error('Error launching module:', error);
-    alert('An error occurred while launching the course. Please try again.');
+    console.error('Error loading notes:', error);
+    panel.innerHTML = '<p class="notes-error" role="alert">Notes could not be loaded. Please try again.</p>';
+  } finally {
+    panel.removeAttribute('aria-busy');
   }
 }
 
-// Extract course ID and instance ID from URL parameters
-function extractIdsFromUrl() {
-  const urlParams = new URLSearchParams(window.location.search);
-  
-  return {
-    courseId: urlParams.get('trainingId'),
-    instanceId: urlParams.get('trainingInstanceId')
-  };
+// Modules and Notes tabs; the notes load when their tab is opened
+function setupTabs(block) {
+  const tabList = block.querySelector('.section-tabs');
+  const modulesPanel = block.querySelector('.modules-content');
+  if (!tabList || !modulesPanel) return;
+
+  let notesPanel = block.querySelector('.notes-content');
+  if (!notesPanel) {
+    notesPanel = document.createElement('div');
+    notesPanel.className = 'notes-content';
+    notesPanel.hidden = true;
+    modulesPanel.after(notesPanel);
+  }
+
+  const tabs = Array.from(tabList.querySelectorAll('.tab-button'));
+  const panels = [modulesPanel, notesPanel];
+  tabList.setAttribute('role', 'tablist');
+  tabs.forEach((tab, index) => {
+    const panel = panels[index];
+    if (!panel) return;
+    panel.id = panel.id || `course-overview-panel-${index}`;
+    panel.setAttribute('role', 'tabpanel');
+    tab.type = 'button';
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', panel.id);
+    tab.setAttribute('aria-selected', tab.classList.contains('active'));
+
+    tab.addEventListener('click', (e) => {
+      e.preventDefault();
+      tabs.forEach((other, otherIndex) => {
+        other.classList.toggle('active', other === tab);
+        other.setAttribute('aria-selected', other === tab);
+        if (panels[otherIndex]) panels[otherIndex].hidden = other !== tab;
+      });
+      if (panel === notesPanel) loadNotes(block);
+    });
+  });
+
+  onSessionChange(() => {
+    if (!notesPanel.hidden) loadNotes(block);
+  });
 }
 
 // Extract course data from the existing HTML (generated by the action)
@@ -217,10 +637,10 @@ function extractCourseDataFromHTML() {
     type: moduleEl.querySelector('.module-type')?.textContent?.split(':')[0],
     contentType: moduleEl.querySelector('.module-type')?.textContent?.split(':')[1]?.trim(),
     duration: moduleEl.querySelector('.module-duration')?.textContent?.replace('⏱️', '').trim(),
-    status: moduleEl.classList.contains('completed') ? 'completed' : 'in-progress',
+    status: MODULE_STATUSES.find((status) => moduleEl.classList.contains(status)) || 'not-started',
     isCompleted: moduleEl.classList.contains('completed'),
-    statusText: moduleEl.querySelector('.module-status')?.textContent?.replace(/[⏱️✓]/g, '').trim(),
-    statusIcon: moduleEl.querySelector('.module-status')?.textContent?.match(/[⏱️✓]/)?.[0] || '⏱️'
+    statusText: moduleEl.querySelector('.module-status')?.textContent?.replace(/(?:⏱️|✓|○)/g, '').trim(),
+    statusIcon: moduleEl.querySelector('.module-status')?.textContent?.match(/(?:⏱️|✓|○)/)?.[0] || '○',
   }));
 
   return {
@@ -228,332 +648,123 @@ function extractCourseDataFromHTML() {
     courseTitle,
     modules,
     // Extract other data as needed
-    duration: document.querySelector('.duration-badge')?.textContent?.replace(/[⏱️()estimated]/g, '').trim()
+    duration: document.querySelector('.duration-badge')?.textContent?.replace(/(?:⏱️|[()]|estimated)/g, '').trim(),
   };
 }
 
-// Format duration
-function formatDuration(seconds) {
-  if (!seconds || seconds === 0) return 'Self-paced';
-  
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  
-  if (hours > 0) {
-    return `${hours}h ${minutes}m`;
-  }
-  return `${minutes}m`;
-}
-
-// Create course header
-function createCourseHeader(courseData) {
-  const attributes = courseData.attributes;
-  const metadata = attributes.localizedMetadata && attributes.localizedMetadata[0] 
-    ? attributes.localizedMetadata[0] 
-    : { name: attributes.name || 'Course', description: '' };
-
-  const header = document.createElement('div');
-  header.className = 'course-header';
-  
-  header.innerHTML = `
-    <div class="course-hero">
-      <h1 class="course-title">${metadata.name}</h1>
-      <div class="course-format">${attributes.loFormat || 'Self-paced'}</div>
-    </div>
-  `;
-  
-  return header;
-}
-
-// Create prerequisites section
-function createPrerequisitesSection(courseData, includedData = []) {
-  // Check if there are prerequisites
-  const hasPrerequisites = courseData.relationships && 
-                          courseData.relationships.prerequisiteLOs && 
-                          courseData.relationships.prerequisiteLOs.data && 
-                          courseData.relationships.prerequisiteLOs.data.length > 0;
+// Restructure authored block content (title, format and module buttons) into the course layout
+function restructureAuthoredContent(block) {
+  // Restructure the existing HTML into proper layout
+  const existingHTML = block.innerHTML;
+  console.log('Original HTML:', existingHTML);
   
-  // Return null if no prerequisites to hide the section
-  if (!hasPrerequisites) {
-    return null;
-  }
+  // Extract data from existing elements
+  const h1 = block.querySelector('h1');
+  const courseTitle = h1 ? h1.textContent : 'Course Title';
   
-  const section = document.createElement('div');
-  section.className = 'course-section prerequisites-section';
+  const paragraphs = block.querySelectorAll('p');
+  let courseFormat = 'Self Paced';
+  let moduleButtons = [];
+  let continueText = '';
+  let progressText = '';
   
-  const prerequisites = courseData.relationships.prerequisiteLOs.data.map(prereq => {
-    // Find the prerequisite details in included data
-    const prereqData = includedData.find(item => item.id === prereq.id);
-    if (prereqData && prereqData.attributes) {
-      const prereqMetadata = prereqData.attributes.localizedMetadata && prereqData.attributes.localizedMetadata[0] 
-        ? prereqData.attributes.localizedMetadata[0] 
-        : { name: prereqData.attributes.name || 'Prerequisite Course' };
-      
-      return `
-        <div class="prerequisite-item">
-          <span class="prerequisite-type">Course: ${prereqData.attributes.loFormat || 'Self-paced'}</span>
-          <a href="#" class="prerequisite-link">${prereqMetadata.name}</a>
-        </div>
-      `;
+  paragraphs.forEach(p => {
+    const text = p.textContent.trim();
+    if (text === 'Self Paced') {
+      courseFormat = text;
+    } else if (text === 'Continue') {
+      continueText = text;
+    } else if (text.includes('Core content completed')) {
+      progressText = text;
+    } else if (p.classList.contains('button-container')) {
+      const button = p.querySelector('a.button');
+      if (button) {
+        moduleButtons.push({
+          text: button.textContent,
+          title: button.title || button.textContent
+        });
+      }
     }
-    return '';
-  }).join('');
+  });
   
-  section.innerHTML = `
-    <h2 class="section-title">Course Prerequisites <span class="optional-label">(Optional)</span></h2>
-    <div class="prerequisites-content">
-      ${prerequisites}
+  // Create new structured HTML
+  const newHTML = `
+    <!-- Course Header -->
+    <div class="course-header">
+      <div class="course-hero">
+        <h1 class="course-title">${courseTitle}</h1>
+        <div class="course-format">${courseFormat}</div>
+      </div>
     </div>
-  `;
-  
-  return section;
-}
-
-// Create modules section
-function createModulesSection(courseData, includedData = []) {
-  const section = document.createElement('div');
-  section.className = 'course-section modules-section';
-  
-  // Get course instances and modules
-  let modulesContent = '';
-  let coreContentCompleted = 0;
-  let totalCoreContent = 0;
-  
-  if (courseData.relationships && courseData.relationships.instances && courseData.relationships.instances.data) {
-    const instanceId = courseData.relationships.instances.data[0]?.id;
-    const instanceData = includedData.find(item => item.id === instanceId && item.type === 'learningObjectInstance');
     
-    if (instanceData && instanceData.relationships && instanceData.relationships.loResources) {
-      const resources = instanceData.relationships.loResources.data;
-      totalCoreContent = resources.length;
-      
-      modulesContent = `
-        <div class="core-content-section">
-          <h3 class="content-title">
-            Core content 
-            <span class="duration-badge">⏱️ ${formatDuration(courseData.attributes.duration)} (estimated)</span>
-          </h3>
-          <div class="modules-list">
-            ${resources.map((resource, index) => {
-              const resourceData = includedData.find(item => item.id === resource.id);
-              if (resourceData && resourceData.attributes) {
-                const resourceMetadata = resourceData.attributes.localizedMetadata && resourceData.attributes.localizedMetadata[0] 
-                  ? resourceData.attributes.localizedMetadata[0] 
-                  : { name: resourceData.attributes.name || 'Module' };
-                
-                const isCompleted = Math.random() > 0.5; // Mock completion status
-                const status = isCompleted ? 'completed' : 'in-progress';
-                const statusIcon = isCompleted ? '✓' : '⏱️';
-                const statusText = isCompleted ? 'Last visited' : 'In Progress';
-                
-                if (isCompleted) coreContentCompleted++;
-                
-                return `
-                  <div class="module-item ${status}" data-resource-id="${resource.id}" data-course-id="${courseData.id}">
+    <!-- Main Content -->
+    <div class="course-main-content">
+      <!-- Left Content -->
+      <div class="course-left-content">
+        <div class="course-section modules-section">
+          <div class="section-tabs">
+            <button class="tab-button active">Modules</button>
+            <button class="tab-button">Notes</button>
+          </div>
+          <div class="modules-content">
+            <div class="core-content-section">
+              <h3 class="content-title">
+                Core content 
+                <span class="duration-badge">⏱️ 1h (estimated)</span>
+              </h3>
+              <div class="modules-list">
+                ${moduleButtons.map((module) => `
+                  <div class="module-item not-started" data-course-id="${getPageLoId() || ''}">
                     <div class="module-icon">⭐</div>
                     <div class="module-content">
                       <div class="module-header">
-                        <span class="module-type">${resourceData.attributes.loFormat || 'Self-paced'}: ${resourceData.attributes.contentType || 'SCORM2004'}</span>
+                        <span class="module-type">Self-paced: SCORM2004</span>
                       </div>
                       <div class="module-title">
-                        <a href="#" class="module-link">${resourceMetadata.name}</a>
+                        <a href="#" class="module-link">${module.text}</a>
                       </div>
                       <div class="module-meta">
-                        <span class="module-duration">⏱️ ${formatDuration(resourceData.attributes.desiredDuration)}</span>
-                        <span class="module-status">${statusIcon} ${statusText}</span>
+                        <span class="module-duration">⏱️ N/A</span>
+                        <span class="module-status">○ Not started</span>
                       </div>
                     </div>
                   </div>
-                `;
-              }
-              return '';
-            }).join('')}
+                `).join('')}
+              </div>
+            </div>
           </div>
         </div>
-      `;
-    }
-  }
-  
-  if (!modulesContent) {
-    modulesContent = '<div class="no-modules">No modules available</div>';
-  }
-  
-  section.innerHTML = `
-    <div class="section-tabs">
-      <button class="tab-button active">Modules</button>
-      <button class="tab-button">Notes</button>
-    </div>
-    <div class="modules-content">
-      ${modulesContent}
-    </div>
-  `;
-  
-  return { section, coreContentCompleted, totalCoreContent };
-}
-
-// Create sidebar
-function createSidebar(coreContentCompleted, totalCoreContent, courseData, includedData = []) {
-  const sidebar = document.createElement('div');
-  sidebar.className = 'course-sidebar';
-  
-  // Get job aids from supplementary resources
-  let jobAidsContent = '';
-  if (courseData.relationships && courseData.relationships.supplementaryLOs && courseData.relationships.supplementaryLOs.data) {
-    const jobAids = courseData.relationships.supplementaryLOs.data.filter(item => {
-      const itemData = includedData.find(included => included.id === item.id);
-      return itemData && itemData.attributes && itemData.attributes.loType === 'jobAid';
-    });
-    
-    if (jobAids.length > 0) {
-      jobAidsContent = `
-        <div class="sidebar-section job-aids-section">
-          <h3 class="sidebar-title">🔧 Job aids</h3>
-          <div class="job-aids-list">
-            ${jobAids.map(jobAid => {
-              const jobAidData = includedData.find(item => item.id === jobAid.id);
-              if (jobAidData && jobAidData.attributes) {
-                const jobAidMetadata = jobAidData.attributes.localizedMetadata && jobAidData.attributes.localizedMetadata[0] 
-                  ? jobAidData.attributes.localizedMetadata[0] 
-                  : { name: jobAidData.attributes.name || 'Job Aid', description: '' };
-                
-                return `
-                  <div class="job-aid-item">
-                    <a href="#" class="job-aid-link">${jobAidMetadata.name}</a>
-                    <p class="job-aid-description">${jobAidMetadata.description || 'Job aid description'}</p>
-                  </div>
-                `;
-              }
-              return '';
-            }).join('')}
+      </div>
+      
+      <!-- Sidebar -->
+      <div class="course-sidebar">
+        <div class="sidebar-actions">
+          <button class="continue-btn">Start</button>
+        </div>
+        
+        <div class="sidebar-section progress-section">
+          <div class="progress-item">
+            <span class="progress-count">0/${moduleButtons.length}</span>
+            <span class="progress-label">Core content completed</span>
           </div>
         </div>
-      `;
-    }
-  }
-  
-  sidebar.innerHTML = `
-    <div class="sidebar-actions">
-      <button class="continue-btn">Continue</button>
-    </div>
-    
-    <div class="sidebar-section progress-section">
-      <div class="progress-item">
-        <span class="progress-count">${coreContentCompleted}/${totalCoreContent}</span>
-        <span class="progress-label">Core content completed</span>
       </div>
     </div>
-    
-    ${jobAidsContent}
   `;
   
-  return sidebar;
+  // Replace the block content
+  block.innerHTML = newHTML;
+  console.log('HTML restructured successfully');
 }
 
 export default async function decorate(block) {
   try {
     console.log('=== COURSE OVERVIEW DECORATE FUNCTION STARTED ===');
-    
-    // Restructure the existing HTML into proper layout
-    const existingHTML = block.innerHTML;
-    console.log('Original HTML:', existingHTML);
-    
-    // Extract data from existing elements
-    const h1 = block.querySelector('h1');
-    const courseTitle = h1 ? h1.textContent : 'Course Title';
-    
-    const paragraphs = block.querySelectorAll('p');
-    let courseFormat = 'Self Paced';
-    let moduleButtons = [];
-    let continueText = '';
-    let progressText = '';
-    
-    paragraphs.forEach(p => {
-      const text = p.textContent.trim();
-      if (text === 'Self Paced') {
-        courseFormat = text;
-      } else if (text === 'Continue') {
-        continueText = text;
-      } else if (text.includes('Core content completed')) {
-        progressText = text;
-      } else if (p.classList.contains('button-container')) {
-        const button = p.querySelector('a.button');
-        if (button) {
-          moduleButtons.push({
-            text: button.textContent,
-            title: button.title || button.textContent
-          });
-        }
-      }
-    });
-    
-    // Create new structured HTML
-    const newHTML = `
-      <!-- Course Header -->
-      <div class="course-header">
-        <div class="course-hero">
-          <h1 class="course-title">${courseTitle}</h1>
-          <div class="course-format">${courseFormat}</div>
-        </div>
-      </div>
-      
-      <!-- Main Content -->
-      <div class="course-main-content">
-        <!-- Left Content -->
-        <div class="course-left-content">
-          <div class="course-section modules-section">
-            <div class="section-tabs">
-              <button class="tab-button active">Modules</button>
-              <button class="tab-button">Notes</button>
-            </div>
-            <div class="modules-content">
-              <div class="core-content-section">
-                <h3 class="content-title">
-                  Core content 
-                  <span class="duration-badge">⏱️ 1h (estimated)</span>
-                </h3>
-                <div class="modules-list">
-                  ${moduleButtons.map((module, index) => `
-                    <div class="module-item ${index < 2 ? 'completed' : 'in-progress'}" data-resource-id="module-${index}" data-course-id="course:12495374">
-                      <div class="module-icon">⭐</div>
-                      <div class="module-content">
-                        <div class="module-header">
-                          <span class="module-type">Self-paced: SCORM2004</span>
-                        </div>
-                        <div class="module-title">
-                          <a href="#" class="module-link">${module.text}</a>
-                        </div>
-                        <div class="module-meta">
-                          <span class="module-duration">⏱️ N/A</span>
-                          <span class="module-status">${index < 2 ? '✓ Last visited' : '⏱️ In Progress'}</span>
-                        </div>
-                      </div>
-                    </div>
-                  `).join('')}
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-        
-        <!-- Sidebar -->
-        <div class="course-sidebar">
-          <div class="sidebar-actions">
-            <button class="continue-btn">Continue</button>
-          </div>
-          
-          <div class="sidebar-section progress-section">
-            <div class="progress-item">
-              <span class="progress-count">2/3</span>
-              <span class="progress-label">Core content completed</span>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-    
-    // Replace the block content
-    block.innerHTML = newHTML;
-    console.log('HTML restructured successfully');
+
+    // pages rendered by course-viewer already have the full layout (instance, sections, badge, ...)
+    if (!block.querySelector('.course-main-content')) {
+      restructureAuthoredContent(block);
+    }
     
     // Extract course data from the existing HTML
     const courseData = extractCourseDataFromHTML();
@@ -571,55 +782,30 @@ export default async function decorate(block) {
       moduleItem.addEventListener('click', async (e) => {
         e.preventDefault();
         
-        const resourceId = moduleItem.dataset.resourceId;
-        const courseId = moduleItem.dataset.courseId;
-        
-        if (resourceId && courseId) {
-          console.log('Module clicked:', { resourceId, courseId });
-          await handleModuleClick(courseId, resourceId, null, []);
-        }
+        // authored modules get their id once the learner's progress is loaded; until then
+        // a click signs in (or resumes at the next incomplete module)
+        await handleModuleClick(block, moduleItem.dataset.resourceId);
       });
       
       // Add cursor pointer style
       moduleItem.style.cursor = 'pointer';
     });
     
-    // Add event listeners for continue button
-    const continueBtn = document.querySelector('.continue-btn');
+    // Continue resumes at the next incomplete module; its label follows the learner's progress
+    const continueBtn = block.querySelector('button.continue-btn');
     if (continueBtn) {
       continueBtn.addEventListener('click', async (e) => {
         e.preventDefault();
-        
-        // Find the first incomplete module or first module
-        const incompleteModule = courseData.modules.find(m => !m.isCompleted);
-        const targetModule = incompleteModule || courseData.modules[0];
-        
-        if (targetModule) {
-          console.log('Continue clicked, launching module:', targetModule.name);
-          await handleModuleClick(targetModule.courseId, targetModule.id, null, []);
-        }
+        await handleContinueClick(block, continueBtn);
       });
     }
     
-    // Add tab functionality
-    const tabButtons = document.querySelectorAll('.tab-button');
-    tabButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        e.preventDefault();
-        
-        // Remove active class from all tabs
-        tabButtons.forEach(tab => tab.classList.remove('active'));
-        
-        // Add active class to clicked tab
-        button.classList.add('active');
-        
-        // Handle tab content switching (if needed)
-        const tabText = button.textContent.toLowerCase();
-        console.log('Tab clicked:', tabText);
-        
-        // You can add tab content switching logic here if needed
-      });
-    });
+    // Hydrate the learner's progress now and whenever they sign in or out
+    loadLearnerProgress(block);
+    onSessionChange(() => loadLearnerProgress(block));
+
+    // Modules and Notes tabs
+    setupTabs(block);
     
     console.log('Course overview block initialized successfully');
     
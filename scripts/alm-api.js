@@ -0,0 +1,186 @@
+/**
+ * ALM API client for blocks
+ * Calls the Adobe Learning Manager Prime API with the learner session from
+ * alm-auth.js. Auth headers are resolved per request, identical GET requests in
+ * flight are shared, and every failure surfaces as an AlmApiError.
+ */
+
+import { getAccessToken, refreshSession } from './alm-auth.js';
+
+// envConfig.js is loaded before any block (see loadEager in scripts.js)
+export const ALM_ORIGIN = (window.envConfig && window.envConfig.almOrigin) || 'https://learningmanager.adobe.com';
+export const ALM_API_BASE = `${ALM_ORIGIN}/primeapi/v2`;
+
+const inFlight = new Map();
+
+/**
+ * Error raised for every failed ALM call.
+ * `code` is one of ALM_UNAUTHENTICATED, ALM_HTTP_ERROR, ALM_NETWORK_ERROR;
+ * `status` is the HTTP status (0 without a response); `details` is the ALM error body.
+ */
+export class AlmApiError extends Error {
+  constructor(message, {
+    code, status = 0, url, details,
+  } = {}) {
+    super(message);
+    this.name = 'AlmApiError';
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.details = details;
+  }
+}
+
+function buildUrl(path, query = {}) {
+  const url = new URL(path.startsWith('http') ? path : `${ALM_API_BASE}${path}`);
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    url.searchParams.set(key, Array.isArray(value) ? value.join(',') : value);
+  });
+  return url;
+}
+
+async function readErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+async function send(url, { method, body }, token) {
+  try {
+    return await fetch(url, {
+      method,
+      headers: {
+        Accept: 'application/vnd.api+json',
+        Authorization: `oauth ${token}`,
+        ...(body ? { 'Content-Type': 'application/vnd.api+json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    throw new AlmApiError(`ALM request failed: ${error.message}`, { code: 'ALM_NETWORK_ERROR', url });
+  }
+}
+
+async function execute(url, options) {
+  const token = await getAccessToken();
+  if (!token) {
+    throw new AlmApiError('No ALM session', { code: 'ALM_UNAUTHENTICATED', status: 401, url });
+  }
+
+  let response = await send(url, options, token);
+  if (response.status === 401) {
+    // the token may have been revoked early; renew once before giving up
+    const renewed = await refreshSession();
+    if (renewed) response = await send(url, options, renewed.accessToken);
+  }
+
+  if (!response.ok) {
+    const details = await readErrorBody(response);
+    throw new AlmApiError(`ALM ${options.method} ${new URL(url).pathname} failed with status ${response.status}`, {
+      code: response.status === 401 ? 'ALM_UNAUTHENTICATED' : 'ALM_HTTP_ERROR',
+      status: response.status,
+      url,
+      details,
+    });
+  }
+
+  if (response.status === 204) return null;
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Calls the ALM API and resolves to the parsed JSON:API document.
+ * Concurrent identical GET requests share one network call (and one result object).
+ * @param {string} path path below the API base, or an absolute `links.next` URL
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.query] query parameters; arrays are comma-joined
+ * @param {object} [options.body] JSON body
+ * @returns {Promise<object|null>}
+ */
+export function almFetch(path, { method = 'GET', query, body } = {}) {
+  const url = buildUrl(path, query).toString();
+  if (method !== 'GET') return execute(url, { method, body });
+
+  if (!inFlight.has(url)) {
+    const pending = execute(url, { method })
+      .finally(() => inFlight.delete(url));
+    inFlight.set(url, pending);
+  }
+  return inFlight.get(url);
+}
+
+/**
+ * Returns the `page[cursor]` of a document's next page, or null on the last page.
+ * @param {object} document JSON:API document
+ * @returns {string|null}
+ */
+export function getNextCursor(document) {
+  const next = document && document.links && document.links.next;
+  return next ? new URL(next, ALM_API_BASE).searchParams.get('page[cursor]') : null;
+}
+
+/**
+ * Iterates the pages of a collection by following `links.next`.
+ * @param {string} path
+ * @param {object} [query]
+ * @yields {object} each JSON:API page document
+ */
+export async function* paginate(path, query = {}) {
+  let next = path;
+  let nextQuery = query;
+  while (next) {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await almFetch(next, { query: nextQuery });
+    yield page;
+    next = page && page.links && page.links.next;
+    nextQuery = {};
+  }
+}
+
+/**
+ * Indexes the `included` resources of a JSON:API document by `type/id`.
+ * @param {object} document
+ * @returns {Map<string, object>}
+ */
+export function indexIncluded(document) {
+  const index = new Map();
+  ((document && document.included) || []).forEach((resource) => {
+    index.set(`${resource.type}/${resource.id}`, resource);
+  });
+  return index;
+}
+
+/**
+ * Finds an included resource by id, optionally restricted to a type.
+ * @param {object} document
+ * @param {string} id
+ * @param {string} [type]
+ * @returns {object|undefined}
+ */
+export function findIncluded(document, id, type) {
+  return ((document && document.included) || [])
+    .find((resource) => resource.id === id && (!type || resource.type === type));
+}
+
+/**
+ * Resolves a relationship against the document's `included` resources: an array for
+ * to-many relationships, a resource or null for to-one. Unresolvable links are skipped.
+ * @param {object} document
+ * @param {object} resource resource holding the relationship
+ * @param {string} name relationship name, e.g. `instances`
+ * @param {Map<string, object>} [index] result of indexIncluded(document)
+ * @returns {object[]|object|null}
+ */
+export function getRelated(document, resource, name, index = indexIncluded(document)) {
+  const linkage = resource?.relationships?.[name]?.data;
+  if (Array.isArray(linkage)) {
+    return linkage.map((ref) => index.get(`${ref.type}/${ref.id}`)).filter(Boolean);
+  }
+  return linkage ? index.get(`${linkage.type}/${linkage.id}`) || null : null;
+}
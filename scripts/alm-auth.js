@@ -1,353 +1,355 @@
 /**
- * ALM OAuth Authentication Module
- * Handles Adobe Learning Manager OAuth authentication flow
+ * ALM session module
+ * Owns the learner's Adobe Learning Manager session: the PKCE login redirect,
+ * token storage and expiry, and change notifications. Blocks read the session
+ * from here and never touch storage themselves.
  */
 
-// ALM OAuth Configuration
-const ALM_CONFIG = {
-  clientId: 'your-client-id', // Replace with your ALM OAuth client ID
-  redirectUri: window.location.origin + '/auth/callback',
-  scope: 'learner:read learner:write',
-  authUrl: 'https://learningmanager.adobe.com/oauth/o/authorize',
-  tokenUrl: 'https://learningmanager.adobe.com/oauth/token',
-  apiBaseUrl: 'https://learningmanager.adobe.com/primeapi/v2'
-};
+// sessionStorage key holding the current session
+const SESSION_KEY = 'alm_session';
 
-/**
- * Storage keys for authentication data
- */
-const STORAGE_KEYS = {
-  ACCESS_TOKEN: 'alm_access_token',
-  REFRESH_TOKEN: 'alm_refresh_token',
-  TOKEN_EXPIRY: 'alm_token_expiry',
-  USER_INFO: 'alm_user_info'
-};
+// sessionStorage key holding the state, PKCE verifier and return URL of a pending login
+const PENDING_AUTH_KEY = 'alm_oauth_pending';
+
+// treat tokens as expired this long before ALM does
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000;
+
+// silently renew tokens this long before they are treated as expired
+const REFRESH_LEAD_MS = 5 * 60 * 1000;
+
+// retry a renewal that failed transiently after this long, doubling up to the maximum
+const REFRESH_RETRY_MS = 30 * 1000;
+const MAX_REFRESH_RETRY_MS = 5 * 60 * 1000;
+
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const LOGIN_SCOPE = 'learner:read,learner:write';
+
+const listeners = new Set();
+
+let refreshTimer;
+let pendingRefresh;
+let refreshFailures = 0;
+
+function getEnvConfig() {
+  return window.envConfig || {};
+}
 
 /**
- * Check if user is authenticated
- * @returns {boolean} True if user has valid access token
+ * Encodes bytes as base64url without padding (RFC 7636, appendix A).
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
  */
-function isAuthenticated() {
-  const token = sessionStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
-  const expiry = sessionStorage.getItem(STORAGE_KEYS.TOKEN_EXPIRY);
-  
-  if (!token || !expiry) {
-    return false;
-  }
-  
-  // Check if token is expired (with 5 minute buffer)
-  const expiryTime = parseInt(expiry);
-  const currentTime = Date.now();
-  const bufferTime = 5 * 60 * 1000; // 5 minutes
-  
-  return currentTime < (expiryTime - bufferTime);
+function base64UrlEncode(bytes) {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomString(byteLength = 32) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
 }
 
 /**
- * Get stored access token
- * @returns {string|null} Access token or null if not available
+ * Derives the S256 code challenge for a PKCE code verifier.
+ * @param {string} verifier
+ * @returns {Promise<string>}
  */
-function getAccessToken() {
-  if (!isAuthenticated()) {
+async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(digest);
+}
+
+function readJson(key) {
+  try {
+    return JSON.parse(sessionStorage.getItem(key));
+  } catch (e) {
     return null;
   }
-  return sessionStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
 }
 
-/**
- * Store authentication tokens
- * @param {Object} tokenData - Token data from OAuth response
- */
-function storeTokens(tokenData) {
-  const expiryTime = Date.now() + (tokenData.expires_in * 1000);
-  
-  sessionStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, tokenData.access_token);
-  sessionStorage.setItem(STORAGE_KEYS.TOKEN_EXPIRY, expiryTime.toString());
-  
-  if (tokenData.refresh_token) {
-    sessionStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, tokenData.refresh_token);
-  }
+function readPendingAuth() {
+  return readJson(PENDING_AUTH_KEY);
 }
 
-/**
- * Clear stored authentication data
- */
-function clearTokens() {
-  sessionStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-  sessionStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
-  sessionStorage.removeItem(STORAGE_KEYS.TOKEN_EXPIRY);
-  sessionStorage.removeItem(STORAGE_KEYS.USER_INFO);
+function clearPendingAuth() {
+  sessionStorage.removeItem(PENDING_AUTH_KEY);
 }
 
 /**
- * Generate OAuth authorization URL
- * @returns {string} Authorization URL
+ * Removes the OAuth callback parameters from the current URL without reloading.
  */
-function getAuthorizationUrl() {
-  const params = new URLSearchParams({
-    client_id: ALM_CONFIG.clientId,
-    redirect_uri: ALM_CONFIG.redirectUri,
-    scope: ALM_CONFIG.scope,
-    response_type: 'code',
-    state: generateState()
-  });
-  
-  return `${ALM_CONFIG.authUrl}?${params.toString()}`;
+function cleanCallbackUrl() {
+  const url = new URL(window.location);
+  ['code', 'state', 'error', 'error_description', 'PRIME_BASE'].forEach((param) => url.searchParams.delete(param));
+  window.history.replaceState({}, '', url.toString());
 }
 
-/**
- * Generate random state for OAuth security
- * @returns {string} Random state string
- */
-function generateState() {
-  return Math.random().toString(36).substring(2, 15) + 
-         Math.random().toString(36).substring(2, 15);
+function isExpired(stored) {
+  return !!stored.expiresAt && Date.now() >= stored.expiresAt - EXPIRY_BUFFER_MS;
 }
 
 /**
- * Exchange authorization code for access token
- * @param {string} code - Authorization code from OAuth callback
- * @returns {Promise<Object>} Token response
+ * Public view of a stored session; the refresh token never leaves this module.
  */
-async function exchangeCodeForToken(code) {
-  const response = await fetch(ALM_CONFIG.tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: new URLSearchParams({
-      grant_type: 'authorization_code',
-      client_id: ALM_CONFIG.clientId,
-      code: code,
-      redirect_uri: ALM_CONFIG.redirectUri
-    })
+function toSession(stored) {
+  if (!stored || !stored.accessToken || isExpired(stored)) return null;
+  return Object.freeze({
+    accessToken: stored.accessToken,
+    expiresAt: stored.expiresAt,
+    userId: stored.userId,
+    userRole: stored.userRole,
+    accountId: stored.accountId,
   });
-  
-  if (!response.ok) {
-    throw new Error(`Token exchange failed: ${response.status}`);
-  }
-  
-  return response.json();
 }
 
 /**
- * Refresh access token using refresh token
- * @returns {Promise<Object>} New token response
+ * Returns the current learner session, or null when signed out or expired.
+ * @returns {{accessToken: string, expiresAt: number|null, userId: string,
+ *   userRole: string, accountId: string}|null}
  */
-async function refreshAccessToken() {
-  const refreshToken = sessionStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
-  
-  if (!refreshToken) {
-    throw new Error('No refresh token available');
-  }
-  
-  const response = await fetch(ALM_CONFIG.tokenUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: new URLSearchParams({
-      grant_type: 'refresh_token',
-      client_id: ALM_CONFIG.clientId,
-      refresh_token: refreshToken
-    })
+export function getSession() {
+  return toSession(readJson(SESSION_KEY));
+}
+
+function notify() {
+  const session = getSession();
+  listeners.forEach((listener) => {
+    try {
+      listener(session);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('ALM session listener failed', error);
+    }
   });
-  
-  if (!response.ok) {
-    throw new Error(`Token refresh failed: ${response.status}`);
-  }
-  
-  return response.json();
+}
+
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  const stored = readJson(SESSION_KEY);
+  if (!stored || !stored.refreshToken || !stored.expiresAt) return;
+
+  const delay = stored.expiresAt - EXPIRY_BUFFER_MS - REFRESH_LEAD_MS - Date.now();
+  // eslint-disable-next-line no-use-before-define
+  refreshTimer = setTimeout(() => refreshSession(), Math.min(Math.max(delay, 0), MAX_TIMER_MS));
 }
 
 /**
- * Initiate OAuth login flow
+ * Stores an OAuth token response as the current session.
+ * @param {object} tokenResponse ALM token response
  */
-function login() {
-  const authUrl = getAuthorizationUrl();
-  window.location.href = authUrl;
+function storeSession(tokenResponse) {
+  const previous = readJson(SESSION_KEY) || {};
+  const expiresIn = Number(tokenResponse.expires_in);
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+    accessToken: tokenResponse.access_token,
+    refreshToken: tokenResponse.refresh_token || previous.refreshToken,
+    expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    userId: tokenResponse.user_id || previous.userId,
+    userRole: tokenResponse.user_role || previous.userRole,
+    accountId: tokenResponse.account_id || previous.accountId,
+  }));
+  scheduleRefresh();
+  notify();
 }
 
 /**
- * Handle OAuth callback
- * @param {string} code - Authorization code from URL
- * @param {string} state - State parameter from URL
+ * Renews the session with its refresh token through the authentication action,
+ * so the client secret stays server-side. Concurrent callers share one request.
+ * @returns {Promise<object|null>} the renewed session, or null when it could not be renewed
  */
-async function handleCallback(code, state) {
-  try {
-    const tokenData = await exchangeCodeForToken(code);
-    storeTokens(tokenData);
-    
-    // Fetch user info after successful authentication
-    await fetchUserInfo();
-    
-    // Redirect to original page or dashboard
-    const returnUrl = sessionStorage.getItem('auth_return_url') || '/';
-    sessionStorage.removeItem('auth_return_url');
-    window.location.href = returnUrl;
-    
-  } catch (error) {
-    console.error('Authentication failed:', error);
-    // Redirect to login page with error
-    window.location.href = '/login?error=auth_failed';
-  }
+export function refreshSession() {
+  if (pendingRefresh) return pendingRefresh;
+
+  const stored = readJson(SESSION_KEY);
+  if (!stored || !stored.refreshToken) return Promise.resolve(null);
+
+  pendingRefresh = (async () => {
+    let rejected = false;
+    try {
+      const response = await fetch(getEnvConfig().adobeIOAlmEndpoint, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refresh_token: stored.refreshToken }),
+      });
+
+      if (!response.ok) {
+        // only a refused refresh token ends the session; the action passes ALM's error through
+        rejected = (await response.text()).includes('invalid_grant');
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      storeSession(await response.json());
+      refreshFailures = 0;
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('ALM session refresh failed', error);
+      if (rejected) {
+        refreshFailures = 0;
+        sessionStorage.removeItem(SESSION_KEY);
+        notify();
+      } else {
+        // network errors and 5xx: the refresh token is still good, try again later
+        refreshFailures += 1;
+        const delay = REFRESH_RETRY_MS * 2 ** (refreshFailures - 1);
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => refreshSession(), Math.min(delay, MAX_REFRESH_RETRY_MS));
+        // listeners see the session as signed out while its access token is expired
+        if (isExpired(stored)) notify();
+      }
+    } finally {
+      pendingRefresh = null;
+    }
+    return getSession();
+  })();
+
+  return pendingRefresh;
 }
 
 /**
- * Fetch user information from ALM API
- * @returns {Promise<Object>} User information
+ * Returns a usable access token, renewing the session first when it is about to expire.
+ * @returns {Promise<string|null>}
  */
-async function fetchUserInfo() {
-  const token = getAccessToken();
-  
-  if (!token) {
-    throw new Error('No access token available');
-  }
-  
-  const response = await fetch(`${ALM_CONFIG.apiBaseUrl}/user`, {
-    headers: {
-      'Authorization': `oauth ${token}`,
-      'Accept': 'application/vnd.api+json'
-    }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to fetch user info: ${response.status}`);
+export async function getAccessToken() {
+  const stored = readJson(SESSION_KEY);
+  if (!stored || !stored.accessToken) return null;
+  if (stored.expiresAt && Date.now() >= stored.expiresAt - EXPIRY_BUFFER_MS - REFRESH_LEAD_MS) {
+    const renewed = await refreshSession();
+    if (renewed) return renewed.accessToken;
   }
-  
-  const userData = await response.json();
-  sessionStorage.setItem(STORAGE_KEYS.USER_INFO, JSON.stringify(userData));
-  
-  return userData;
+  return getSession()?.accessToken || null;
 }
 
 /**
- * Get stored user information
- * @returns {Object|null} User information or null if not available
+ * Registers a callback invoked with the new session (or null) whenever it changes.
+ * @param {function} listener
+ * @returns {function} unsubscribe
  */
-function getUserInfo() {
-  const userInfo = sessionStorage.getItem(STORAGE_KEYS.USER_INFO);
-  return userInfo ? JSON.parse(userInfo) : null;
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
 }
 
 /**
- * Logout user and clear tokens
+ * Starts the ALM authorization-code-with-PKCE login, returning to the current page.
+ * @param {object} [options]
+ * @param {string} [options.returnUrl] page to come back to after login
  */
-function logout() {
-  clearTokens();
-  // Redirect to ALM logout URL or login page
-  window.location.href = '/login';
+export async function login({ returnUrl = window.location.href } = {}) {
+  const envConfig = getEnvConfig();
+  if (!envConfig.almClientId) {
+    // OAuth error: Client ID is required
+    return;
+  }
+
+  const redirectUri = window.location.origin + window.location.pathname;
+  const state = randomString(16);
+  const codeVerifier = randomString(32);
+  const codeChallenge = await createCodeChallenge(codeVerifier);
+
+  // Remember what we need to verify the callback and to come back to this exact page
+  sessionStorage.setItem(PENDING_AUTH_KEY, JSON.stringify({
+    state,
+    codeVerifier,
+    redirectUri,
+    returnUrl,
+  }));
+
+  const authUrl = new URL(envConfig.almAuthEndpoint);
+  authUrl.searchParams.set('client_id', envConfig.almClientId);
+  authUrl.searchParams.set('redirect_uri', redirectUri);
+  authUrl.searchParams.set('scope', LOGIN_SCOPE);
+  authUrl.searchParams.set('response_type', 'code');
+  authUrl.searchParams.set('account', envConfig.almAccount);
+  authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('code_challenge', codeChallenge);
+  authUrl.searchParams.set('code_challenge_method', 'S256');
+
+  // Redirect to Adobe Learning Manager OAuth
+  window.location.href = authUrl.toString();
 }
 
 /**
- * Make authenticated API request to ALM
- * @param {string} endpoint - API endpoint (relative to base URL)
- * @param {Object} options - Fetch options
- * @returns {Promise<Response>} Fetch response
+ * Ends the learner session in this tab.
  */
-async function makeAuthenticatedRequest(endpoint, options = {}) {
-  let token = getAccessToken();
-  
-  // Try to refresh token if expired
-  if (!token) {
-    try {
-      const tokenData = await refreshAccessToken();
-      storeTokens(tokenData);
-      token = tokenData.access_token;
-    } catch (error) {
-      // Refresh failed, redirect to login
-      sessionStorage.setItem('auth_return_url', window.location.pathname);
-      login();
-      return;
-    }
-  }
-  
-  const url = endpoint.startsWith('http') ? endpoint : `${ALM_CONFIG.apiBaseUrl}${endpoint}`;
-  
-  const requestOptions = {
-    ...options,
-    headers: {
-      'Authorization': `oauth ${token}`,
-      'Accept': 'application/vnd.api+json',
-      ...options.headers
-    }
-  };
-  
-  const response = await fetch(url, requestOptions);
-  
-  // If unauthorized, try to refresh token once
-  if (response.status === 401) {
-    try {
-      const tokenData = await refreshAccessToken();
-      storeTokens(tokenData);
-      
-      // Retry request with new token
-      requestOptions.headers.Authorization = `oauth ${tokenData.access_token}`;
-      return fetch(url, requestOptions);
-    } catch (error) {
-      // Refresh failed, redirect to login
-      sessionStorage.setItem('auth_return_url', window.location.pathname);
-      login();
-      return;
+export function logout() {
+  clearTimeout(refreshTimer);
+  refreshFailures = 0;
+  sessionStorage.removeItem(SESSION_KEY);
+  clearPendingAuth();
+  notify();
+}
+
+async function exchangeCodeForToken(code, pendingAuth) {
+  try {
+    const authUrl = new URL(getEnvConfig().adobeIOAlmEndpoint);
+    authUrl.searchParams.set('code', code);
+    authUrl.searchParams.set('redirect_uri', pendingAuth.redirectUri);
+    authUrl.searchParams.set('code_verifier', pendingAuth.codeVerifier);
+
+    const response = await fetch(authUrl.toString(), {
+      method: 'GET',
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
     }
+
+    storeSession(await response.json());
+
+    // Authentication successful - go back to the page the login started from
+    window.location.replace(pendingAuth.returnUrl || window.location.pathname);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('ALM login failed', error);
+    cleanCallbackUrl();
   }
-  
-  return response;
 }
 
 /**
- * Initialize authentication on page load
+ * Handles the OAuth redirect on page load: verifies and exchanges a returned code,
+ * or starts a new login when there is no valid session.
+ * @param {object} [options]
+ * @param {boolean} [options.autoLogin=true] redirect to ALM when signed out
  */
-function initAuth() {
-  // Check if this is an OAuth callback
+export function initAuth({ autoLogin = true } = {}) {
   const urlParams = new URLSearchParams(window.location.search);
-  const code = urlParams.get('code');
-  const state = urlParams.get('state');
-  
-  if (code && state) {
-    handleCallback(code, state);
+  const authCode = urlParams.get('code');
+
+  if (urlParams.get('error')) {
+    // OAuth Error occurred - handle silently
+    clearPendingAuth();
+    cleanCallbackUrl();
+    return;
+  }
+
+  if (authCode) {
+    const pendingAuth = readPendingAuth();
+    clearPendingAuth();
+
+    // Only exchange codes for logins this browser started, never a forged or replayed callback
+    if (!pendingAuth || !pendingAuth.state || pendingAuth.state !== urlParams.get('state')) {
+      cleanCallbackUrl();
+      return;
+    }
+
+    exchangeCodeForToken(authCode, pendingAuth);
     return;
   }
-  
-  // Check if user is authenticated
-  if (!isAuthenticated()) {
-    // Store current page for redirect after login
-    sessionStorage.setItem('auth_return_url', window.location.pathname);
-    
-    // Show login prompt or redirect to login
-    showLoginPrompt();
+
+  if (getSession()) {
+    scheduleRefresh();
+    return;
   }
-}
 
-/**
- * Show login prompt to user
- */
-function showLoginPrompt() {
-  // Create login overlay
-  const overlay = document.createElement('div');
-  overlay.className = 'auth-overlay';
-  overlay.innerHTML = `
-    <div class="auth-modal">
-      <h2>Authentication Required</h2>
-      <p>Please log in to access Adobe Learning Manager content.</p>
-      <button class="auth-login-btn" onclick="ALMAuth.login()">Log In</button>
-    </div>
-  `;
-  
-  document.body.appendChild(overlay);
+  // An expired session with a refresh token is renewed silently instead of bouncing through ALM
+  refreshSession().then((session) => {
+    if (!session && autoLogin) {
+      setTimeout(() => login(), 1000);
+    }
+  });
 }
-
-// Export the authentication module
-window.ALMAuth = {
-  isAuthenticated,
-  getAccessToken,
-  login,
-  logout,
-  getUserInfo,
-  makeAuthenticatedRequest,
-  initAuth,
-  config: ALM_CONFIG
-};
-
-// Auto-initialize on script load
-document.addEventListener('DOMContentLoaded', initAuth);
@@ -0,0 +1,221 @@
+/**
+ * ALM enrollment service
+ * Enrolls the learner in an instance of a learning object and unenrolls them, on top of
+ * alm-api.js. Enrollment deadlines, seat limits and retired instances are checked before
+ * calling ALM, and enrollments are described by one status blocks can render: enrolled,
+ * pending manager approval, waitlisted and so on.
+ */
+
+import { almFetch, getRelated, AlmApiError } from './alm-api.js';
+
+/**
+ * Error raised when an enrollment is refused before or by ALM.
+ * `code` is one of ENROLLMENT_CLOSED, ENROLLMENT_RETIRED, ENROLLMENT_NO_INSTANCE,
+ * ENROLLMENT_EXISTS, UNENROLLMENT_NOT_ALLOWED; `cause` is the AlmApiError, if any.
+ */
+export class EnrollmentError extends Error {
+  constructor(message, { code, cause } = {}) {
+    super(message);
+    this.name = 'EnrollmentError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+// ALM enrollment states and the status blocks render for them
+const ENROLLMENT_STATUSES = {
+  ENROLLED: 'enrolled',
+  STARTED: 'enrolled',
+  COMPLETED: 'completed',
+  PENDING_APPROVAL: 'pending-approval',
+  PENDING_ACCEPTANCE: 'pending-acceptance',
+  WAITING: 'waitlisted',
+  REJECTED: 'rejected',
+};
+
+const STATUS_MESSAGES = {
+  enrolled: 'You are enrolled.',
+  completed: 'You have completed this training.',
+  'pending-approval': 'Your enrollment is waiting for your manager\'s approval.',
+  'pending-acceptance': 'You have been nominated. Accept the enrollment in Learning Manager to start.',
+  waitlisted: 'All seats are taken. You are on the waitlist and will be enrolled when a seat frees up.',
+  rejected: 'Your enrollment request was rejected.',
+};
+
+/**
+ * ALM id of the learning object on the current page, e.g. `course:123`, from the
+ * `course-id` and `lo-type` meta tags written by course-viewer.
+ * @returns {string|null}
+ */
+export function getPageLoId() {
+  const courseId = document.querySelector('meta[name="course-id"]')?.content;
+  if (!courseId) return null;
+  if (courseId.includes(':')) return courseId;
+  const loType = document.querySelector('meta[name="lo-type"]')?.content || 'course';
+  return `${loType}:${courseId}`;
+}
+
+/**
+ * ALM id of the instance the current page is rendered for, e.g. `course:123_456`.
+ * @returns {string|null}
+ */
+export function getPageInstanceId() {
+  return document.querySelector('meta[name="course-instance-id"]')?.content || null;
+}
+
+/**
+ * Describes an ALM enrollment for display.
+ * @param {object|null} enrollment `learningObjectInstanceEnrollment` resource
+ * @returns {{id: string, state: string, status: string, message: string,
+ *   instanceId: string|null}|null}
+ */
+export function describeEnrollment(enrollment) {
+  if (!enrollment) return null;
+  const state = enrollment.attributes?.state || 'ENROLLED';
+  const status = ENROLLMENT_STATUSES[state] || 'enrolled';
+  return {
+    id: enrollment.id,
+    state,
+    status,
+    message: STATUS_MESSAGES[status],
+    instanceId: enrollment.relationships?.loInstance?.data?.id || null,
+  };
+}
+
+/**
+ * Whether the learner can open the content of an enrollment.
+ * @param {object|null} enrollment result of describeEnrollment
+ * @returns {boolean}
+ */
+export function canLaunch(enrollment) {
+  return !!enrollment && ['enrolled', 'completed'].includes(enrollment.status);
+}
+
+async function fetchSeats(loId, instanceId) {
+  try {
+    const document = await almFetch(`/learningObjects/${loId}/instances/${instanceId}/summary`);
+    const { seatLimit, enrollmentCount = 0, waitlistCount = 0 } = document?.data?.attributes || {};
+    return { seatLimit: seatLimit || null, enrollmentCount, waitlistCount };
+  } catch (error) {
+    // seats are only informative; ALM itself decides on the waitlist
+    return { seatLimit: null, enrollmentCount: 0, waitlistCount: 0 };
+  }
+}
+
+/**
+ * Availability of an instance: `open`, `waitlist` (all seats taken), `closed` (the
+ * enrollment deadline passed) or `retired`.
+ * @param {object} instance `learningObjectInstance` resource
+ * @param {object} [seats] result of the instance summary
+ * @returns {{id: string, name: string, isDefault: boolean, enrollmentDeadline: string|null,
+ *   seatLimit: number|null, seatsLeft: number|null, availability: string}}
+ */
+export function getInstanceAvailability(instance, seats = {}) {
+  const attributes = instance.attributes || {};
+  const deadline = attributes.enrollmentDeadline || null;
+  const seatLimit = seats.seatLimit || attributes.seatLimit || null;
+  const seatsLeft = seatLimit ? Math.max(seatLimit - (seats.enrollmentCount || 0), 0) : null;
+
+  let availability = 'open';
+  if (String(attributes.state || '').toLowerCase() === 'retired') {
+    availability = 'retired';
+  } else if (deadline && Date.parse(deadline) < Date.now()) {
+    availability = 'closed';
+  } else if (seatsLeft === 0) {
+    availability = 'waitlist';
+  }
+
+  return {
+    id: instance.id,
+    name: attributes.localizedMetadata?.[0]?.name || instance.id,
+    isDefault: !!attributes.isDefault,
+    enrollmentDeadline: deadline,
+    seatLimit,
+    seatsLeft,
+    availability,
+  };
+}
+
+/**
+ * Loads what the enrollment UI needs for a learning object: the learner's enrollment,
+ * whether they may unenroll, and the availability of every instance.
+ * @param {string} loId e.g. `course:123`
+ * @returns {Promise<{enrollment: object|null, unenrollmentAllowed: boolean,
+ *   instances: object[]}>}
+ */
+export async function getEnrollmentOptions(loId) {
+  const document = await almFetch(`/learningObjects/${loId}`, {
+    query: { include: 'instances,enrollment' },
+  });
+  const learningObject = document.data;
+
+  const instances = getRelated(document, learningObject, 'instances') || [];
+  const seats = await Promise.all(instances.map((instance) => (
+    String(instance.attributes?.state || '').toLowerCase() === 'retired' ? {} : fetchSeats(loId, instance.id)
+  )));
+
+  return {
+    enrollment: describeEnrollment(getRelated(document, learningObject, 'enrollment')),
+    unenrollmentAllowed: learningObject.attributes?.unenrollmentAllowed !== false,
+    instances: instances.map((instance, i) => getInstanceAvailability(instance, seats[i])),
+  };
+}
+
+/**
+ * Enrolls the learner in an instance. An instance whose seats are taken puts the learner
+ * on its waitlist; one that needs manager approval comes back as `pending-approval`.
+ * @param {string} loId e.g. `course:123`
+ * @param {string} [instanceId] defaults to the page's instance, else the default instance
+ * @returns {Promise<object>} result of describeEnrollment for the new enrollment
+ * @throws {EnrollmentError|AlmApiError}
+ */
+export async function enroll(loId, instanceId = getPageInstanceId()) {
+  const options = await getEnrollmentOptions(loId);
+  if (options.enrollment) {
+    throw new EnrollmentError('Already enrolled', { code: 'ENROLLMENT_EXISTS' });
+  }
+
+  const instance = options.instances.find((candidate) => candidate.id === instanceId)
+    || (!instanceId && options.instances.find((candidate) => candidate.isDefault))
+    || (!instanceId && options.instances[0]);
+  if (!instance) {
+    throw new EnrollmentError('This training has no instance open for enrollment', { code: 'ENROLLMENT_NO_INSTANCE' });
+  }
+  if (instance.availability === 'retired') {
+    throw new EnrollmentError(`${instance.name} is retired`, { code: 'ENROLLMENT_RETIRED' });
+  }
+  if (instance.availability === 'closed') {
+    throw new EnrollmentError(`Enrollment for ${instance.name} closed on ${new Date(instance.enrollmentDeadline).toLocaleDateString()}`, { code: 'ENROLLMENT_CLOSED' });
+  }
+
+  try {
+    const document = await almFetch('/enrollments', {
+      method: 'POST',
+      query: { loId, loInstanceId: instance.id, allowMultiEnrollment: false },
+    });
+    // the new enrollment tells whether it waits for approval or a seat
+    return describeEnrollment(document?.data) || (await getEnrollmentOptions(loId)).enrollment;
+  } catch (error) {
+    // ALM answers an enrollment past the deadline (or in a closed instance) with 400
+    if (error instanceof AlmApiError && error.status === 400) {
+      const detail = error.details?.title || error.details?.detail || 'Enrollment was refused';
+      throw new EnrollmentError(detail, { code: 'ENROLLMENT_CLOSED', cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unenrolls the learner, which also withdraws a pending approval request or waitlist place.
+ * @param {string} loId e.g. `course:123`
+ * @returns {Promise<void>}
+ * @throws {EnrollmentError|AlmApiError}
+ */
+export async function unenroll(loId) {
+  const options = await getEnrollmentOptions(loId);
+  if (!options.enrollment) return;
+  if (!options.unenrollmentAllowed) {
+    throw new EnrollmentError('Unenrolling from this training is not allowed', { code: 'UNENROLLMENT_NOT_ALLOWED' });
+  }
+  await almFetch(`/enrollments/${options.enrollment.id}`, { method: 'DELETE' });
+}
@@ -0,0 +1,138 @@
+/**
+ * ALM notes service
+ * Lists, creates, edits and deletes the learner's notes on the modules of a learning object
+ * instance through alm-api.js, and exports them as Markdown.
+ */
+
+import { almFetch, paginate } from './alm-api.js';
+import { getSession } from './alm-auth.js';
+
+/**
+ * Flattens an ALM `note` resource.
+ * @param {object} note
+ * @returns {{id: string, text: string, marker: string|null, loResourceId: string|null,
+ *   dateCreated: string|null, dateModified: string|null}}
+ */
+function toNote(note) {
+  const attributes = note.attributes || {};
+  return {
+    id: note.id,
+    text: attributes.text || '',
+    marker: attributes.marker || null,
+    loResourceId: note.relationships?.loResource?.data?.id || null,
+    dateCreated: attributes.dateCreated || null,
+    dateModified: attributes.dateModified || attributes.dateCreated || null,
+  };
+}
+
+function userNotesPath(noteId) {
+  const session = getSession();
+  if (!session) throw new Error('Notes need a learner session');
+  return `/users/${session.userId}/notes/${noteId}`;
+}
+
+/**
+ * Lists the learner's notes on an instance, oldest first.
+ * @param {string} loId e.g. `course:123`
+ * @param {string} instanceId e.g. `course:123_456`
+ * @returns {Promise<object[]>} notes as returned by toNote
+ */
+export async function listNotes(loId, instanceId) {
+  const notes = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const page of paginate(`/learningObjects/${loId}/instances/${instanceId}/notes`)) {
+    notes.push(...((page && page.data) || []).map(toNote));
+  }
+  return notes.sort((a, b) => String(a.dateCreated).localeCompare(String(b.dateCreated)));
+}
+
+/**
+ * Adds a note to a module.
+ * @param {string} loId
+ * @param {string} instanceId
+ * @param {string} loResourceId module the note is about
+ * @param {string} text
+ * @returns {Promise<object>} the new note
+ */
+export async function createNote(loId, instanceId, loResourceId, text) {
+  const document = await almFetch(`/learningObjects/${loId}/instances/${instanceId}/loResources/${loResourceId}/note`, {
+    method: 'POST',
+    body: { data: { type: 'note', attributes: { text } } },
+  });
+  return { loResourceId, ...toNote(document.data) };
+}
+
+/**
+ * Replaces the text of a note.
+ * @param {string} noteId
+ * @param {string} text
+ * @returns {Promise<object>} the updated note
+ */
+export async function updateNote(noteId, text) {
+  const document = await almFetch(userNotesPath(noteId), {
+    method: 'PATCH',
+    body: { data: { id: noteId, type: 'note', attributes: { text } } },
+  });
+  return toNote(document.data);
+}
+
+/**
+ * Deletes a note.
+ * @param {string} noteId
+ * @returns {Promise<void>}
+ */
+export async function deleteNote(noteId) {
+  await almFetch(userNotesPath(noteId), { method: 'DELETE' });
+}
+
+function formatTimestamp(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Groups notes by module in the order of `modules`; notes on other modules come last under
+ * "Other notes". Modules without notes are left out.
+ * @param {object[]} notes notes as returned by toNote
+ * @param {{id: string, name: string}[]} modules modules of the instance
+ * @returns {{id: string|null, name: string, notes: object[]}[]}
+ */
+export function groupNotesByModule(notes, modules) {
+  const moduleIds = modules.map((module) => module.id);
+  return [...modules, { id: null, name: 'Other notes' }]
+    .map((module) => ({
+      ...module,
+      notes: notes.filter((note) => (module.id
+        ? note.loResourceId === module.id
+        : !moduleIds.includes(note.loResourceId))),
+    }))
+    .filter((group) => group.notes.length > 0);
+}
+
+/**
+ * Renders notes as Markdown, grouped by module.
+ * @param {string} title learning object name
+ * @param {object[]} notes notes as returned by toNote
+ * @param {{id: string, name: string}[]} modules modules of the instance
+ * @returns {string}
+ */
+export function notesToMarkdown(title, notes, modules) {
+  const lines = [`# Notes: ${title}`, ''];
+  const groups = groupNotesByModule(notes, modules);
+
+  groups.forEach((group) => {
+    lines.push(`## ${group.name}`, '');
+    group.notes.forEach((note) => {
+      const marker = note.marker ? ` (at ${note.marker})` : '';
+      const [first, ...rest] = note.text.trim().split('\n');
+      lines.push(`- **${formatTimestamp(note.dateModified)}**${marker}: ${first}`);
+      rest.forEach((line) => lines.push(`  ${line}`));
+    });
+    lines.push('');
+  });
+
+  if (groups.length === 0) lines.push('No notes yet.', '');
+  return lines.join('\n');
+}
@@ -0,0 +1,159 @@
+/**
+ * ALM fluidic player
+ * Opens the Adobe Learning Manager embeddable player in the modal block. The iframe URL
+ * only names the learning object: the player asks its host for the access token over
+ * postMessage, so the token never ends up in the browser history or in referrers.
+ * The player's progress and completion messages are passed to the caller; they and the
+ * opening and closing of the player are emitted as analytics events (see emitPlayerEvent).
+ */
+
+import { loadCSS } from './aem.js';
+import { getAccessToken } from './alm-auth.js';
+import { ALM_ORIGIN } from './alm-api.js';
+import { createModal } from '../blocks/modal/modal.js';
+
+/*
+ * postMessage types of the player. `status:close` is the close message the player has always
+ * sent here; the token handshake and progress names are not confirmed against ALM's embedding
+ * documentation, so an environment can rename any of them with `alm.playerMessages` in
+ * config/environments.json, e.g. `{ "tokenRequest": "status:token" }`.
+ */
+const PLAYER_MESSAGES = {
+  tokenRequest: 'status:token',
+  tokenResponse: 'token',
+  close: 'status:close',
+  progress: 'status:progress',
+  completed: 'status:completed',
+  ...(window.envConfig && window.envConfig.almPlayerMessages),
+};
+
+// Player messages reporting the learner's progress, and the event types they map to
+const PLAYER_EVENTS = {
+  [PLAYER_MESSAGES.progress]: 'progress',
+  [PLAYER_MESSAGES.completed]: 'completion',
+};
+
+/**
+ * Reads a player message: a bare type string such as `status:close`, or an object (or its
+ * JSON) with `type`, `loResourceId` and `progressPercent`.
+ * @param {*} data message data
+ * @returns {{type: string, loResourceId: string|null, progressPercent: number|null}|null}
+ */
+function parsePlayerMessage(data) {
+  let message = data;
+  if (typeof data === 'string') {
+    try {
+      message = data.startsWith('{') ? JSON.parse(data) : { type: data };
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!message || typeof message.type !== 'string') return null;
+
+  const progressPercent = Number(message.progressPercent);
+  return {
+    type: message.type,
+    loResourceId: message.loResourceId || null,
+    progressPercent: Number.isFinite(progressPercent) ? progressPercent : null,
+  };
+}
+
+/**
+ * Emits a player event for analytics: pushed to the Adobe Client Data Layer
+ * (`window.adobeDataLayer`) and dispatched as an `alm-player` event on window.
+ * @param {object} detail `{ type, loId, moduleId, progressPercent }`
+ */
+export function emitPlayerEvent(detail) {
+  window.adobeDataLayer = window.adobeDataLayer || [];
+  window.adobeDataLayer.push({ event: `alm-player:${detail.type}`, almPlayer: detail });
+  window.dispatchEvent(new CustomEvent('alm-player', { detail }));
+}
+
+/**
+ * Builds the player URL, deep-linked to a module when one is given.
+ * @param {string} loId e.g. `course:123`
+ * @param {string} [moduleId] loResource id
+ * @returns {string}
+ */
+export function buildPlayerUrl(loId, moduleId) {
+  const url = new URL(`${ALM_ORIGIN}/app/player`);
+  url.searchParams.set('lo_id', loId);
+  if (moduleId) url.searchParams.set('module_id', moduleId);
+  return url.toString();
+}
+
+/**
+ * Opens the player in a modal dialog. Escape, the close button, a click outside and the
+ * player's own close button all close it.
+ * @param {object} options
+ * @param {string} options.loId e.g. `course:123`
+ * @param {string} [options.moduleId] module to open
+ * @param {function} [options.onEvent] called with every `progress` and `completion` event:
+ *   `{ type, loId, moduleId, progressPercent }`, `moduleId` being the module it concerns
+ * @param {function} [options.onClose] called once the dialog closed
+ * @returns {Promise<{close: function}>}
+ */
+export async function openPlayer({
+  loId, moduleId, onEvent, onClose,
+}) {
+  await loadCSS(`${window.hlx.codeBasePath}/styles/alm-player.css`);
+
+  const iframe = document.createElement('iframe');
+  iframe.className = 'alm-player-frame';
+  iframe.title = 'Learning Manager player';
+  iframe.allow = 'autoplay; fullscreen; clipboard-write';
+  iframe.src = buildPlayerUrl(loId, moduleId);
+
+  const { block, showModal } = await createModal([iframe]);
+  const dialog = block.querySelector('dialog');
+  dialog.classList.add('alm-player');
+  dialog.setAttribute('aria-label', 'Learning Manager player');
+
+  // only the player frame may ask for the token, report progress or close the dialog
+  async function onMessage(event) {
+    if (event.origin !== ALM_ORIGIN || event.source !== iframe.contentWindow) return;
+    const message = parsePlayerMessage(event.data);
+    if (!message) return;
+
+    if (message.type === PLAYER_MESSAGES.tokenRequest) {
+      const accessToken = await getAccessToken();
+      if (accessToken) {
+        const reply = { type: PLAYER_MESSAGES.tokenResponse, accessToken };
+        iframe.contentWindow.postMessage(reply, ALM_ORIGIN);
+      } else {
+        dialog.close();
+      }
+      return;
+    }
+    if (message.type === PLAYER_MESSAGES.close) {
+      dialog.close();
+      return;
+    }
+
+    const type = PLAYER_EVENTS[message.type];
+    if (!type) return;
+    const detail = {
+      type,
+      loId,
+      moduleId: message.loResourceId || moduleId || null,
+      progressPercent: type === 'completion' ? 100 : message.progressPercent,
+    };
+    emitPlayerEvent(detail);
+    if (onEvent) onEvent(detail);
+  }
+  window.addEventListener('message', onMessage);
+
+  dialog.addEventListener('close', () => {
+    window.removeEventListener('message', onMessage);
+    emitPlayerEvent({
+      type: 'close', loId, moduleId: moduleId || null, progressPercent: null,
+    });
+    if (onClose) onClose();
+  }, { once: true });
+
+  showModal();
+  emitPlayerEvent({
+    type: 'open', loId, moduleId: moduleId || null, progressPercent: null,
+  });
+  return { close: () => dialog.close() };
+}
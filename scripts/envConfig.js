@@ -1,6 +1,53 @@
-window.envConfig = {
-  almAuthEndpoint: "https://learningmanager.adobe.com/oauth/o/authorize",
-  adobeIOAlmEndpoint: "https://1070326-refimplalm-stage.adobeio-static.net/api/v1/web/EdsAlm/authentication",
-  almClientId: "62f33554-103c-4fcb-b68c-d35c1d3da6a5",
-  almAccount: "121816"
+/*
+ * Generated by tools/generate-env-config.js from config/environments.json, do not edit.
+ * Run `npm run build:env-config` after changing the environments.
+ */
+
+const ENVIRONMENTS = {
+  dev: {
+    name: 'dev',
+    hosts: [
+      'localhost',
+      '127.0.0.1',
+    ],
+    almOrigin: 'https://learningmanager.adobe.com',
+    almAuthEndpoint: 'https://learningmanager.adobe.com/oauth/o/authorize',
+    almClientId: '62f33554-103c-4fcb-b68c-d35c1d3da6a5',
+    almAccount: '121816',
+    appBuilderBaseUrl: 'https://1070326-refimplalm-stage.adobeio-static.net/api/v1/web/EdsAlm',
+    adobeIOAlmEndpoint: 'https://1070326-refimplalm-stage.adobeio-static.net/api/v1/web/EdsAlm/authentication',
+  },
+  stage: {
+    name: 'stage',
+    hosts: [
+      'main--byomeds--rohitnegi02.aem.page',
+      'main--byomeds--rohitnegi02.hlx.page',
+    ],
+    almOrigin: 'https://learningmanager.adobe.com',
+    almAuthEndpoint: 'https://learningmanager.adobe.com/oauth/o/authorize',
+    almClientId: '62f33554-103c-4fcb-b68c-d35c1d3da6a5',
+    almAccount: '121816',
+    appBuilderBaseUrl: 'https://1070326-refimplalm-stage.adobeio-static.net/api/v1/web/EdsAlm',
+    adobeIOAlmEndpoint: 'https://1070326-refimplalm-stage.adobeio-static.net/api/v1/web/EdsAlm/authentication',
+  },
+  prod: {
+    name: 'prod',
+    hosts: [
+      'main--byomeds--rohitnegi02.aem.live',
+      'main--byomeds--rohitnegi02.hlx.live',
+    ],
+    almOrigin: 'https://learningmanager.adobe.com',
+    almAuthEndpoint: 'https://learningmanager.adobe.com/oauth/o/authorize',
+    almClientId: '62f33554-103c-4fcb-b68c-d35c1d3da6a5',
+    almAccount: '121816',
+    appBuilderBaseUrl: 'https://1070326-refimplalm.adobeio-static.net/api/v1/web/EdsAlm',
+    adobeIOAlmEndpoint: 'https://1070326-refimplalm.adobeio-static.net/api/v1/web/EdsAlm/authentication',
+  },
 };
+
+const DEFAULT_ENVIRONMENT = 'stage';
+
+const name = Object.keys(ENVIRONMENTS)
+  .find((key) => ENVIRONMENTS[key].hosts.includes(window.location.hostname)) || DEFAULT_ENVIRONMENT;
+
+window.envConfig = ENVIRONMENTS[name];
@@ -142,15 +142,15 @@ async function loadEager(doc) {
   doc.documentElement.lang = 'en';
   decorateTemplateAndTheme();
 
-  // Load envConfig first, then initialize OAuth
+  // Load envConfig first, then initialize the ALM session
   try {
     await import('./envConfig.js');
-    const { initOAuth } = await import('./oauth.js');
-    initOAuth();
+    const { initAuth } = await import('./alm-auth.js');
+    initAuth();
   } catch (error) {
-    console.error('Failed to load OAuth:', error);
+    console.error('Failed to load ALM session:', error);
   }
-  
+
   if (getMetadata('breadcrumbs').toLowerCase() === 'true') {
     doc.body.dataset.breadcrumbs = true;
   }
@@ -0,0 +1,128 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Generates the environment specific files from config/environments.json:
+ * - scripts/envConfig.js: the front-end config of every environment, picked by hostname at runtime
+ * - config/site-config.json: the overlay URL of one environment (`--env <name>`, default: the
+ *   `defaultEnvironment`)
+ *
+ * Usage: npm run build:env-config [-- --env prod]
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const ENVIRONMENTS_FILE = path.join(ROOT, 'config/environments.json');
+const FRONT_END_FILE = path.join(ROOT, 'scripts/envConfig.js');
+const SITE_CONFIG_FILE = path.join(ROOT, 'config/site-config.json');
+
+const REQUIRED_FIELDS = [
+  'hosts', 'eds.org', 'eds.site', 'eds.ref', 'appBuilder.baseUrl', 'alm.origin', 'alm.clientId', 'alm.account',
+];
+
+function get(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+}
+
+function validate(config) {
+  const names = Object.keys(config.environments || {});
+  if (!names.includes(config.defaultEnvironment)) {
+    throw new Error(`defaultEnvironment '${config.defaultEnvironment}' is not one of ${names.join(', ')}`);
+  }
+  names.forEach((name) => {
+    const missing = REQUIRED_FIELDS.filter((field) => !get(config.environments[name], field));
+    if (missing.length) {
+      throw new Error(`Environment '${name}' is missing ${missing.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * The values the browser gets; keep secrets out of environments.json altogether
+ */
+function toFrontEndConfig(name, environment) {
+  return {
+    name,
+    hosts: environment.hosts,
+    almOrigin: environment.alm.origin,
+    almAuthEndpoint: `${environment.alm.origin}/oauth/o/authorize`,
+    almClientId: environment.alm.clientId,
+    almAccount: environment.alm.account,
+    appBuilderBaseUrl: environment.appBuilder.baseUrl,
+    adobeIOAlmEndpoint: `${environment.appBuilder.baseUrl}/authentication`,
+    // optional renames of the player's postMessage types (see scripts/alm-player.js)
+    ...(environment.alm.playerMessages
+      ? { almPlayerMessages: environment.alm.playerMessages }
+      : {}),
+  };
+}
+
+// serializes plain data as lint-clean JavaScript source
+function toSource(value, indent = '') {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    return `[\n${value.map((item) => `${inner}${toSource(item, inner)},\n`).join('')}${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+      return `${inner}${name}: ${toSource(item, inner)},\n`;
+    });
+    return `{\n${entries.join('')}${indent}}`;
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return String(value);
+}
+
+function generateFrontEndConfig(config) {
+  const environments = Object.fromEntries(Object.entries(config.environments)
+    .map(([name, environment]) => [name, toFrontEndConfig(name, environment)]));
+
+  return `/*
+ * Generated by tools/generate-env-config.js from config/environments.json, do not edit.
+ * Run \`npm run build:env-config\` after changing the environments.
+ */
+
+const ENVIRONMENTS = ${toSource(environments)};
+
+const DEFAULT_ENVIRONMENT = '${config.defaultEnvironment}';
+
+const name = Object.keys(ENVIRONMENTS)
+  .find((key) => ENVIRONMENTS[key].hosts.includes(window.location.hostname)) || DEFAULT_ENVIRONMENT;
+
+window.envConfig = ENVIRONMENTS[name];
+`;
+}
+
+function generateSiteConfig(environment) {
+  const siteConfig = JSON.parse(fs.readFileSync(SITE_CONFIG_FILE, 'utf8'));
+  siteConfig.overlays = (siteConfig.overlays || []).map((overlay) => (overlay.type === 'markup'
+    ? { ...overlay, url: `${environment.appBuilder.baseUrl}/course-viewer` }
+    : overlay));
+  return `${JSON.stringify(siteConfig, null, 2)}\n`;
+}
+
+function main(args) {
+  const config = JSON.parse(fs.readFileSync(ENVIRONMENTS_FILE, 'utf8'));
+  validate(config);
+
+  const envIndex = args.indexOf('--env');
+  const siteEnvironment = envIndex >= 0 ? args[envIndex + 1] : config.defaultEnvironment;
+  if (!config.environments[siteEnvironment]) {
+    throw new Error(`Unknown environment '${siteEnvironment}'`);
+  }
+
+  fs.writeFileSync(FRONT_END_FILE, generateFrontEndConfig(config));
+  fs.writeFileSync(SITE_CONFIG_FILE, generateSiteConfig(config.environments[siteEnvironment]));
+  console.log(`Wrote ${path.relative(ROOT, FRONT_END_FILE)} and ${path.relative(ROOT, SITE_CONFIG_FILE)} (${siteEnvironment})`);
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}